@@ -0,0 +1,52 @@
+/**
+ * Configuration de l'authentification
+ * Règles d'inscription des comptes, réinitialisation des mots de passe
+ * protection contre les tentatives de connexion répétées et double authentification (TOTP)
+ */
+
+import * as dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Configuration de l'authentification
+ */
+export const authConfig = {
+  // Domaines email autorisés à l'inscription (ex: "univ-avignon.fr,alumni.univ-avignon.fr"), vide = tous
+  allowedEmailDomains: (process.env.REGISTRATION_ALLOWED_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean),
+
+  // Format des noms et prénoms à l'inscription et à la modification du profil
+  // (lettres, espaces, tirets et apostrophes)
+  namePattern: /^[\p{L}][\p{L} '-]{0,49}$/u,
+
+  // Page du frontend recevant le jeton de réinitialisation (?token=...)
+  passwordResetUrl: process.env.PASSWORD_RESET_URL || 'https://localhost:3222/reset-password',
+  // Durée de validité d'un jeton de réinitialisation
+  passwordResetTokenTTL: 1000 * 60 * 30, // 30 minutes (en ms)
+
+  // Limitation des tentatives de connexion échouées
+  loginAttempts: {
+    // Stockage des compteurs: 'memory' (développement) ou 'mongo' (production)
+    store: process.env.LOGIN_ATTEMPT_STORE || (process.env.NODE_ENV === 'production' ? 'mongo' : 'memory'),
+    maxAccountFailures: 5, // échecs tolérés par compte avant blocage
+    maxIpFailures: 20, // échecs tolérés par adresse IP avant blocage
+    maxAccountResetRequests: 3, // demandes de réinitialisation de mot de passe tolérées par adresse email
+    maxIpResetRequests: 10, // demandes de réinitialisation de mot de passe tolérées par adresse IP
+    baseLockout: 1000 * 30, // premier blocage: 30 secondes, doublé à chaque nouvel échec
+    maxLockout: 1000 * 60 * 60, // blocage maximal: 1 heure
+    window: 1000 * 60 * 60 // les échecs plus anciens qu'1 heure sont oubliés
+  },
+
+  // Double authentification par codes temporaires (RFC 6238)
+  twoFactor: {
+    issuer: process.env.TOTP_ISSUER || 'CERISoNet', // nom affiché dans l'application d'authentification
+    period: 30, // durée de validité d'un code (en secondes)
+    digits: 6,
+    window: 1, // nombre de périodes acceptées avant et après l'heure courante (décalage d'horloge)
+    recoveryCodes: 10, // codes de secours générés à l'activation
+    pendingLoginTTL: 1000 * 60 * 5 // délai pour saisir le code après le mot de passe: 5 minutes (en ms)
+  }
+};
@@ -46,5 +46,14 @@ export const testPgConnection = async (pool) => {
 export const mongoConfig = {
   uri: process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/db-CERI',
   collection: 'CERISoNet',
-  sessionCollection: 'MySession3221'
+  sessionCollection: 'MySession3221',
+  passwordResetCollection: 'PasswordResetTokens',
+  loginAttemptsCollection: 'LoginAttempts',
+  apiTokensCollection: 'ApiTokens',
+  twoFactorCollection: 'TwoFactor',
+  followsCollection: 'Follows',
+  restrictionsCollection: 'UserRestrictions',
+  conversationsCollection: 'Conversations',
+  messagesCollection: 'Messages',
+  uploadsCollection: 'Uploads'
 };
\ No newline at end of file
@@ -0,0 +1,27 @@
+/**
+ * Configuration de l'envoi des emails
+ * Choix du transport et paramètres associés
+ */
+
+import * as dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Configuration des emails
+ * transport: 'console' (affichage dans les logs), 'file' (fichiers .eml) ou 'smtp'
+ */
+export const mailConfig = {
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'CERISoNet <no-reply@cerisonet.local>',
+  fileDirectory: process.env.MAIL_FILE_DIR || './mails',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD
+    } : undefined
+  }
+};
@@ -12,7 +12,9 @@ dotenv.config();
 
 /**
  * Configure le middleware de session pour Express
+ * Le même middleware est partagé avec Socket.IO pour authentifier les connexions WebSocket
  * @param {Express} app - Instance de l'application Express
+ * @returns {{store: MongoDBStore, middleware: Function}} Store des sessions et middleware de session
  */
 export const configureSession = (app) => {
   // Création du store MongoDB pour les sessions
@@ -33,7 +35,7 @@ export const configureSession = (app) => {
   });
 
   // Configuration du middleware de session
-  app.use(session({
+  const middleware = session({
     secret: process.env.SESSION_SECRET || 'cerisonet_secret_key',
     cookie: {
       maxAge: 1000 * 60 * 60 * 24 * 7, // 1 semaine
@@ -45,7 +47,8 @@ export const configureSession = (app) => {
     resave: false,
     saveUninitialized: false,
     name: 'cerisonet.sid'
-  }));
+  });
+  app.use(middleware);
 
-  return store;
+  return { store, middleware };
 };
\ No newline at end of file
@@ -25,11 +25,18 @@ const swaggerOptions = {
           type: 'apiKey',
           in: 'cookie',
           name: 'cerisonet.sid'
+        },
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Jeton d\'accès personnel (voir /tokens)'
         }
       }
     },
     security: [{
       cookieAuth: []
+    }, {
+      bearerAuth: []
     }]
   },
   apis: [
@@ -0,0 +1,27 @@
+/**
+ * Configuration du téléversement de fichiers
+ * Stockage local des images des posts et des avatars
+ */
+
+import * as dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Configuration du stockage des images
+ */
+export const uploadConfig = {
+  directory: process.env.UPLOAD_DIR || './uploads',
+  publicPath: '/uploads',
+  maxFileSize: parseInt(process.env.UPLOAD_MAX_SIZE || String(5 * 1024 * 1024)), // 5 Mo par défaut
+  maxFiles: 4,
+  cacheMaxAge: '30d',
+  avatarSize: 256, // côté des avatars redimensionnés (en pixels, format carré)
+  // Types MIME acceptés et extension associée
+  allowedTypes: {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp'
+  }
+};
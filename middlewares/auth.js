@@ -1,20 +1,104 @@
 /**
  * Middleware d'authentification
- * Vérifie si l'utilisateur est connecté avant d'accéder aux routes protégées
+ * Vérifie si l'utilisateur est connecté (session ou jeton d'accès) avant d'accéder aux routes protégées
  */
 
+import { verifyApiToken } from '../services/api-tokens.js';
+import { getUserById, getUserRoles } from '../services/postgres.js';
+import { touchSessionActivity } from '../services/sessions.js';
+
+/**
+ * Authentifie une requête portant un en-tête Authorization: Bearer <jeton>
+ * L'utilisateur est placé dans req.session.user comme pour une session classique,
+ * mais en propriété non énumérable pour qu'express-session ne persiste ni la session ni le cookie.
+ * @param {Object} req - Requête Express
+ * @param {string} token - Jeton d'accès en clair
+ * @returns {Promise<boolean>} Vrai si le jeton est valide
+ */
+const authenticateWithToken = async (req, token) => {
+  const apiToken = await verifyApiToken(token);
+  if (!apiToken) {
+    return false;
+  }
+
+  const user = await getUserById(apiToken.userId);
+  if (!user) {
+    return false;
+  }
+
+  Object.defineProperty(req.session, 'user', {
+    value: {
+      id: user.id,
+      mail: user.mail,
+      nom: user.nom,
+      prenom: user.prenom,
+      avatar: user.avatar || null,
+      roles: await getUserRoles(user.id)
+    },
+    enumerable: false,
+    writable: true,
+    configurable: true
+  });
+  req.auth = { type: 'token', tokenId: apiToken._id, scopes: apiToken.scopes };
+  return true;
+};
+
 /**
- * Vérifie si l'utilisateur est authentifié via sa session
+ * Vérifie si l'utilisateur est authentifié via sa session ou un jeton d'accès
  * @param {Object} req - Requête Express
  * @param {Object} res - Réponse Express
  * @param {Function} next - Fonction de passage au middleware suivant
  */
-export const authMiddleware = (req, res, next) => {
-    if (req.session && req.session.user) {
-      next();
-    } else {
-      res.status(401).json({ success: false, message: "Non authentifié" });
+export const authMiddleware = async (req, res, next) => {
+  if (req.session && req.session.user) {
+    req.auth = { type: 'session' };
+    touchSessionActivity(req);
+    return next();
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme === 'Bearer' && token) {
+    try {
+      if (await authenticateWithToken(req, token)) {
+        return next();
+      }
+    } catch (error) {
+      console.error("Erreur lors de la vérification du jeton d'accès:", error);
+      return res.status(500).json({ success: false, message: "Erreur serveur lors de l'authentification" });
+    }
+    return res.status(401).json({ success: false, message: "Jeton d'accès invalide ou expiré" });
+  }
+
+  res.status(401).json({ success: false, message: "Non authentifié" });
+};
+
+/**
+ * Crée un middleware vérifiant la portée d'un jeton d'accès
+ * Les requêtes authentifiées par session ne sont pas concernées
+ * @param {string} scope - Portée requise (ex: 'posts:read')
+ * @returns {Function} Middleware Express
+ */
+export const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.auth && req.auth.type === 'token' && !req.auth.scopes.includes(scope)) {
+      return res.status(403).json({ success: false, message: `Portée ${scope} requise pour ce jeton` });
     }
+    next();
   };
-  
-  export default authMiddleware;
\ No newline at end of file
+};
+
+/**
+ * N'autorise que les requêtes authentifiées par session (pas par jeton d'accès)
+ * Utilisé pour les opérations sensibles sur le compte
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction de passage au middleware suivant
+ */
+export const requireSession = (req, res, next) => {
+  if (!req.auth || req.auth.type !== 'session') {
+    return res.status(403).json({ success: false, message: "Opération impossible avec un jeton d'accès" });
+  }
+  next();
+};
+
+export default authMiddleware;
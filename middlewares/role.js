@@ -0,0 +1,43 @@
+/**
+ * Middleware d'autorisation par rôle
+ * Vérifie que l'utilisateur connecté possède un des rôles requis
+ */
+
+/**
+ * Rôles disponibles (un administrateur dispose de tous les droits)
+ */
+export const ROLES = {
+  ADMIN: 'admin',
+  MODERATOR: 'moderator'
+};
+
+/**
+ * Indique si un utilisateur de session possède au moins un des rôles donnés
+ * @param {Object} user - Utilisateur de session
+ * @param {...string} roles - Rôles acceptés
+ * @returns {boolean} Vrai si l'utilisateur est administrateur ou possède un des rôles
+ */
+export const hasRole = (user, ...roles) => {
+  const userRoles = (user && user.roles) || [];
+  return userRoles.includes(ROLES.ADMIN) || roles.some(role => userRoles.includes(role));
+};
+
+/**
+ * Crée un middleware n'autorisant que les utilisateurs possédant un des rôles donnés
+ * À utiliser après authMiddleware, ex: router.delete('/x', authMiddleware, requireRole('moderator'), ...)
+ * @param {...string} roles - Rôles acceptés
+ * @returns {Function} Middleware Express
+ */
+export const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.session || !req.session.user) {
+      return res.status(401).json({ success: false, message: "Non authentifié" });
+    }
+    if (!hasRole(req.session.user, ...roles)) {
+      return res.status(403).json({ success: false, message: "Accès refusé" });
+    }
+    next();
+  };
+};
+
+export default requireRole;
@@ -0,0 +1,41 @@
+/**
+ * Middleware de chargement de l'utilisateur cible
+ * Vérifie l'identifiant :id des routes /users/:id/... et l'existence du compte
+ */
+
+import { getUserById } from '../services/postgres.js';
+
+/**
+ * Charge l'utilisateur désigné par req.params.id dans req.targetUser
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Function} next - Fonction de passage au middleware suivant
+ */
+export const loadTargetUser = async (req, res, next) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Identifiant d'utilisateur invalide"
+    });
+  }
+
+  try {
+    const user = await getUserById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Utilisateur non trouvé"
+      });
+    }
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    console.error("Erreur lors de la récupération de l'utilisateur:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la récupération de l'utilisateur"
+    });
+  }
+};
+
+export default loadTargetUser;
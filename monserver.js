@@ -20,11 +20,20 @@ import { httpsOptions } from "./config/server.js";
 import { configureSession } from "./config/session.js";
 import { connectToMongoDB } from "./services/mongo.js";
 import { setupSwagger } from "./config/swagger.js";
+import { uploadConfig } from "./config/upload.js";
 
 // Import des routes
 import authRoutes from "./routes/auth.js";
 import postsRoutes from "./routes/posts.js";
 import usersRoutes from "./routes/users.js";
+import hashtagsRoutes from "./routes/hashtags.js";
+import uploadsRoutes from "./routes/uploads.js";
+import tokensRoutes from "./routes/tokens.js";
+import sessionsRoutes from "./routes/sessions.js";
+import twoFactorRoutes from "./routes/two-factor.js";
+import followsRoutes from "./routes/follows.js";
+import restrictionsRoutes from "./routes/restrictions.js";
+import conversationsRoutes from "./routes/conversations.js";
 
 // Import de la configuration socket.io
 import { configureSocketIO } from "./sockets/socket.js";
@@ -52,15 +61,22 @@ app.use(express.static(__dirname + '../../CerisoNet/dist/ceriso-net/browser/', {
   }
 }));
 
+// Images téléversées (noms aléatoires, donc cache long sans risque)
+app.use(uploadConfig.publicPath, express.static(uploadConfig.directory, {
+  maxAge: uploadConfig.cacheMaxAge,
+  immutable: true
+}));
+
 // ======= CONFIGURATION DU CORS =======
 app.use(cors({
     origin: process.env.FRONTEND_URL || "https://localhost:3222",
     methods: ["GET", "POST", "PUT", "DELETE"],
+    allowedHeaders: ["Content-Type", "Authorization"],
     credentials: true,
 }));
 
 // ======= CONFIGURATION DES SESSIONS =======
-configureSession(app);
+const { middleware: sessionMiddleware } = configureSession(app);
 
 // ======= CONFIGURATION DE SWAGGER =======
 setupSwagger(app);
@@ -75,6 +91,14 @@ app.get('/', (req, res) => {
 app.use(authRoutes);
 app.use(postsRoutes);
 app.use(usersRoutes);
+app.use(hashtagsRoutes);
+app.use(uploadsRoutes);
+app.use(tokensRoutes);
+app.use(sessionsRoutes);
+app.use(twoFactorRoutes);
+app.use(followsRoutes);
+app.use(restrictionsRoutes);
+app.use(conversationsRoutes);
 
 // Route générique pour les erreurs serveur
 app.get("/error", (req, res) => {
@@ -85,7 +109,7 @@ app.get("/error", (req, res) => {
 const httpsServer = https.createServer(httpsOptions, app);
 
 // ======= CONFIGURATION DE SOCKET.IO =======
-configureSocketIO(httpsServer);
+configureSocketIO(httpsServer, sessionMiddleware);
 
 // ======= INITIALISATION DE MONGODB =======
 connectToMongoDB().then(() => {
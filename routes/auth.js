@@ -1,14 +1,72 @@
 /**
  * Routes d'authentification
- * Gestion de la connexion et déconnexion des utilisateurs
+ * Gestion de l'inscription, de la connexion, de la déconnexion
+ * et de la réinitialisation du mot de passe des utilisateurs
  */
 
 import express from 'express';
-import crypto from 'crypto';
-import { getPostgresPool, updateUserConnectionStatus } from '../services/postgres.js';
+import { authConfig } from '../config/auth.js';
+import {
+  createUser,
+  emailExists,
+  getPostgresPool,
+  getUserByEmail,
+  getUserById,
+  getUserRoles,
+  updateUserConnectionStatus,
+  updateUserPassword
+} from '../services/postgres.js';
+import { checkPasswordStrength, hashPassword, simulatePasswordCheck, verifyPassword } from '../services/password.js';
+import {
+  getLoginRetryAfter,
+  getPasswordResetRetryAfter,
+  recordLoginFailure,
+  recordPasswordResetRequest,
+  resetLoginFailures
+} from '../services/login-attempts.js';
+import { consumePasswordResetToken, createPasswordResetToken } from '../services/password-reset.js';
+import { destroyUserSessions, initSessionMetadata } from '../services/sessions.js';
+import { isTwoFactorEnabled, verifySecondFactor } from '../services/two-factor.js';
+import { disconnectSessions } from '../sockets/socket.js';
+import { sendMail } from '../services/mail.js';
 
 const router = express.Router();
 
+// Format d'adresse email accepté à l'inscription
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Construit l'utilisateur stocké en session et renvoyé au client
+ * @param {Object} user - Ligne de fredouil.compte
+ * @param {Array<string>} roles - Rôles de l'utilisateur (voir middlewares/role.js)
+ * @returns {Object} Utilisateur de session
+ */
+const buildSessionUser = (user, roles) => {
+  return {
+    id: user.id,
+    mail: user.mail,
+    nom: user.nom,
+    prenom: user.prenom,
+    avatar: user.avatar || null,
+    roles,
+    lastLogin: new Date().toISOString()
+  };
+};
+
+/**
+ * Ouvre la session d'un utilisateur authentifié
+ * @param {Object} req - Requête Express
+ * @param {Object} user - Ligne de fredouil.compte
+ */
+const openUserSession = async (req, user) => {
+  // Mise à jour du statut de connexion à 1 (connecté)
+  await updateUserConnectionStatus(user.id, 1);
+
+  // Création de la session utilisateur avec ses rôles
+  req.session.user = buildSessionUser(user, await getUserRoles(user.id));
+  initSessionMetadata(req);
+};
+
 /**
  * @swagger
  * components:
@@ -44,6 +102,16 @@ const router = express.Router();
  *         prenom:
  *           type: string
  *           description: Prénom de l'utilisateur
+ *         avatar:
+ *           type: string
+ *           nullable: true
+ *           description: URL de l'avatar
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [admin, moderator]
+ *           description: Rôles de l'utilisateur
  *         lastLogin:
  *           type: string
  *           format: date-time
@@ -82,7 +150,10 @@ const router = express.Router();
  * /login:
  *   post:
  *     summary: Connexion d'un utilisateur
- *     description: Authentifie un utilisateur et crée une session
+ *     description: |
+ *       Authentifie un utilisateur et crée une session.
+ *       Si la double authentification est activée, la réponse contient twoFactorRequired: true
+ *       et la connexion doit être terminée avec POST /login/2fa.
  *     tags: [Authentification]
  *     requestBody:
  *       required: true
@@ -92,7 +163,7 @@ const router = express.Router();
  *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: Connexion réussie
+ *         description: Connexion réussie, ou code de double authentification requis
  *         content:
  *           application/json:
  *             schema:
@@ -122,7 +193,28 @@ const router = express.Router();
  *                   example: false
  *                 message:
  *                   type: string
- *                   example: Mot de passe incorrect
+ *                   example: Email ou mot de passe incorrect
+ *       429:
+ *         description: Trop de tentatives, connexion temporairement bloquée (voir l'en-tête Retry-After)
+ *         headers:
+ *           Retry-After:
+ *             description: Délai d'attente en secondes
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: Trop de tentatives de connexion, veuillez réessayer plus tard
+ *                 retryAfter:
+ *                   type: integer
+ *                   example: 30
  *       500:
  *         description: Erreur serveur
  *         content:
@@ -150,51 +242,74 @@ router.post('/login', async (req, res, next) => {
       });
     }
 
+    // Refus si l'adresse IP ou le compte est temporairement bloqué
+    const retryAfter = await getLoginRetryAfter(req.ip, email);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Trop de tentatives de connexion, veuillez réessayer plus tard",
+        retryAfter
+      });
+    }
+
     // Connexion à PostgreSQL
     const pgPool = await getPostgresPool();
 
-    // Recherche de l'utilisateur dans la base PostgreSQL
+    // Recherche de l'utilisateur dans la base PostgreSQL (sans tenir compte de la casse de l'email)
     const result = await pgPool.query(
-      'SELECT * FROM fredouil.compte WHERE mail = $1',
+      'SELECT * FROM fredouil.compte WHERE LOWER(mail) = LOWER($1)',
       [email]
     );
 
     const user = result.rows[0];
     
     // Vérification de l'existence de l'utilisateur et du mot de passe
-    // Le mot de passe est stocké en SHA1 dans la base
-    const hashedPassword = crypto.createHash('sha1').update(password).digest('hex');
+    // (scrypt salé, ou ancien SHA1 encore présent dans la base)
+    const { valid, needsRehash } = user
+      ? await verifyPassword(password, user.motpasse)
+      : await simulatePasswordCheck(password);
     
-    if (!user || user.motpasse !== hashedPassword) {
+    // Message identique que le compte existe ou non
+    if (!user || !valid) {
+      await recordLoginFailure(req.ip, email);
       return res.status(401).json({
         success: false,
-        message: !user ? "Utilisateur non trouvé" : "Mot de passe incorrect"
+        message: "Email ou mot de passe incorrect"
       });
     }
 
-    // Mise à jour du statut de connexion à 1 (connecté)
-    await updateUserConnectionStatus(user.id, 1);
+    // Conversion transparente d'un ancien hachage au format actuel
+    if (needsRehash) {
+      const upgraded = await updateUserPassword(user.id, await hashPassword(password));
+      if (upgraded) {
+        console.log(`Hachage du mot de passe mis à jour pour l'utilisateur ${user.id}`);
+      }
+    }
+
+    // Double authentification: la session n'est ouverte qu'après POST /login/2fa
+    // (les échecs ne sont remis à zéro qu'à ce moment pour que les codes restent soumis au blocage)
+    if (await isTwoFactorEnabled(user.id)) {
+      req.session.pendingLogin = {
+        userId: user.id,
+        email,
+        expiresAt: Date.now() + authConfig.twoFactor.pendingLoginTTL
+      };
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        message: "Code de double authentification requis"
+      });
+    }
 
-    // Création de la session utilisateur
-    req.session.user = {
-      id: user.id,
-      mail: user.mail,
-      nom: user.nom,
-      prenom: user.prenom,
-      lastLogin: new Date().toISOString()
-    };
+    await resetLoginFailures(email);
+    await openUserSession(req, user);
 
     // Envoi des informations utilisateur au client
     res.status(200).json({
       success: true,
       message: "Connexion réussie",
-      user: {
-        id: user.id,
-        mail: user.mail,
-        nom: user.nom,
-        prenom: user.prenom,
-        lastLogin: new Date().toISOString()
-      }
+      user: req.session.user
     });
   } catch (error) {
     console.error("Erreur lors de la connexion:", error);
@@ -214,6 +329,241 @@ router.post('/login', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /login/2fa:
+ *   post:
+ *     summary: Seconde étape de la connexion
+ *     description: Vérifie le code TOTP (ou un code de secours) d'une connexion en attente et ouvre la session
+ *     tags: [Authentification]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Code à 6 chiffres de l'application d'authentification ou code de secours
+ *     responses:
+ *       200:
+ *         description: Connexion réussie
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Code manquant
+ *       401:
+ *         description: Code invalide, ou aucune connexion en attente (délai dépassé)
+ *       429:
+ *         description: Trop de tentatives, connexion temporairement bloquée (voir l'en-tête Retry-After)
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/login/2fa', async (req, res, next) => {
+  try {
+    const pendingLogin = req.session.pendingLogin;
+
+    if (!pendingLogin || pendingLogin.expiresAt < Date.now()) {
+      delete req.session.pendingLogin;
+      return res.status(401).json({
+        success: false,
+        message: "Aucune connexion en attente, veuillez saisir à nouveau vos identifiants"
+      });
+    }
+
+    const { code } = req.body;
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: "Code de double authentification requis"
+      });
+    }
+
+    // Les codes sont soumis au même blocage que les mots de passe
+    const retryAfter = await getLoginRetryAfter(req.ip, pendingLogin.email);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Trop de tentatives de connexion, veuillez réessayer plus tard",
+        retryAfter
+      });
+    }
+
+    const method = await verifySecondFactor(pendingLogin.userId, code);
+    if (!method) {
+      await recordLoginFailure(req.ip, pendingLogin.email);
+      return res.status(401).json({
+        success: false,
+        message: "Code de double authentification invalide"
+      });
+    }
+
+    const user = await getUserById(pendingLogin.userId);
+    if (!user) {
+      delete req.session.pendingLogin;
+      return res.status(401).json({
+        success: false,
+        message: "Email ou mot de passe incorrect"
+      });
+    }
+
+    await resetLoginFailures(pendingLogin.email);
+    delete req.session.pendingLogin;
+    await openUserSession(req, user);
+
+    if (method === 'recovery') {
+      console.log(`Connexion de l'utilisateur ${user.id} avec un code de secours`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: method === 'recovery'
+        ? "Connexion réussie avec un code de secours (ce code n'est plus utilisable)"
+        : "Connexion réussie",
+      user: req.session.user
+    });
+  } catch (error) {
+    console.error("Erreur lors de la vérification du code de double authentification:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la connexion"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /register:
+ *   post:
+ *     summary: Inscription d'un nouvel utilisateur
+ *     description: Crée un compte et ouvre directement une session
+ *     tags: [Authentification]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *               - nom
+ *               - prenom
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: 8 caractères minimum dont une minuscule, une majuscule et un chiffre
+ *               nom:
+ *                 type: string
+ *               prenom:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Compte créé et utilisateur connecté
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Données d'inscription invalides
+ *       403:
+ *         description: Domaine email non autorisé
+ *       409:
+ *         description: Adresse email déjà utilisée
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/register', async (req, res, next) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const nom = typeof req.body.nom === 'string' ? req.body.nom.trim() : '';
+    const prenom = typeof req.body.prenom === 'string' ? req.body.prenom.trim() : '';
+    const { password } = req.body;
+
+    // Validation des entrées
+    if (!EMAIL_REGEX.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "Adresse email invalide"
+      });
+    }
+
+    if (!authConfig.namePattern.test(nom) || !authConfig.namePattern.test(prenom)) {
+      return res.status(400).json({
+        success: false,
+        message: "Nom et prénom requis (lettres, espaces, tirets et apostrophes, 50 caractères maximum)"
+      });
+    }
+
+    const passwordError = checkPasswordStrength(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    // Restriction éventuelle aux domaines autorisés
+    const domain = email.split('@').pop().toLowerCase();
+    if (authConfig.allowedEmailDomains.length && !authConfig.allowedEmailDomains.includes(domain)) {
+      return res.status(403).json({
+        success: false,
+        message: "Les inscriptions ne sont pas ouvertes pour ce domaine email"
+      });
+    }
+
+    if (await emailExists(email)) {
+      return res.status(409).json({
+        success: false,
+        message: "Un compte existe déjà avec cette adresse email"
+      });
+    }
+
+    const user = await createUser({
+      mail: email,
+      passwordHash: await hashPassword(password),
+      nom,
+      prenom
+    });
+
+    console.log(`Nouveau compte créé: ${user.id} (${user.mail})`);
+
+    // Connexion directe du nouvel utilisateur
+    await updateUserConnectionStatus(user.id, 1);
+    req.session.user = buildSessionUser(user, []);
+    initSessionMetadata(req);
+
+    res.status(201).json({
+      success: true,
+      message: "Inscription réussie",
+      user: req.session.user
+    });
+  } catch (error) {
+    console.error("Erreur lors de l'inscription:", error);
+
+    // Violation de contrainte d'unicité (inscription simultanée)
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: "Un compte existe déjà avec cette adresse email"
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de l'inscription"
+    });
+  }
+});
+
 /**
  * @swagger
  * /logout:
@@ -262,6 +612,7 @@ router.post('/logout', async (req, res, next) => {
     }
     
     // Détruire la session
+    const sessionId = req.sessionID;
     req.session.destroy((err) => {
       if (err) {
         return res.status(500).json({
@@ -269,7 +620,10 @@ router.post('/logout', async (req, res, next) => {
           message: "Erreur lors de la déconnexion"
         });
       }
-      
+
+      // Les sockets ouvertes avec cette session ne doivent plus agir au nom de l'utilisateur
+      disconnectSessions([sessionId]);
+
       // Suppression du cookie de session
       res.clearCookie('cerisonet.sid');
       res.status(200).json({
@@ -286,4 +640,195 @@ router.post('/logout', async (req, res, next) => {
   }
 });
 
+/**
+ * Crée un jeton de réinitialisation et l'envoie par email si l'adresse correspond à un compte
+ * @param {string} email - Adresse email saisie
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetMail = async (email) => {
+  const user = await getUserByEmail(email);
+
+  // Pas de jeton si le compte n'existe pas
+  if (!user) {
+    return;
+  }
+
+  const { token, expiresAt } = await createPasswordResetToken(user.id);
+  const resetLink = `${authConfig.passwordResetUrl}?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.mail,
+    subject: "CERISoNet - Réinitialisation de votre mot de passe",
+    text: [
+      `Bonjour ${user.prenom},`,
+      '',
+      "Une réinitialisation du mot de passe de votre compte CERISoNet a été demandée.",
+      `Pour choisir un nouveau mot de passe, ouvrez ce lien avant le ${expiresAt.toLocaleString('fr-FR')} :`,
+      resetLink,
+      '',
+      "Si vous n'êtes pas à l'origine de cette demande, vous pouvez ignorer cet email."
+    ].join('\n')
+  });
+
+  console.log(`Jeton de réinitialisation envoyé à l'utilisateur ${user.id}`);
+};
+
+/**
+ * @swagger
+ * /password/forgot:
+ *   post:
+ *     summary: Demande de réinitialisation du mot de passe
+ *     description: >
+ *       Envoie par email un lien contenant un jeton à usage unique et à durée limitée.
+ *       La réponse est identique que l'adresse corresponde ou non à un compte.
+ *     tags: [Authentification]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Demande prise en compte
+ *       400:
+ *         description: Email manquant
+ *       429:
+ *         description: Trop de demandes pour cette adresse IP ou cette adresse email (voir l'en-tête Retry-After)
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/password/forgot', async (req, res, next) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email requis"
+      });
+    }
+
+    // Limitation des envois par adresse IP et par adresse email
+    const retryAfter = await getPasswordResetRetryAfter(req.ip, email);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Trop de demandes de réinitialisation, veuillez réessayer plus tard",
+        retryAfter
+      });
+    }
+    await recordPasswordResetRequest(req.ip, email);
+
+    // Réponse immédiate: le statut et le délai de réponse ne dépendent pas de l'existence du compte
+    res.status(200).json({
+      success: true,
+      message: "Si un compte correspond à cette adresse, un email de réinitialisation a été envoyé"
+    });
+
+    sendPasswordResetMail(email).catch((error) => {
+      console.error("Erreur lors de l'envoi de l'email de réinitialisation:", error);
+    });
+  } catch (error) {
+    console.error("Erreur lors de la demande de réinitialisation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la demande de réinitialisation"
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /password/reset:
+ *   post:
+ *     summary: Réinitialisation du mot de passe
+ *     description: >
+ *       Consomme le jeton reçu par email, enregistre le nouveau mot de passe
+ *       et ferme toutes les sessions ouvertes de l'utilisateur.
+ *     tags: [Authentification]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Mot de passe réinitialisé
+ *       400:
+ *         description: Jeton invalide, expiré ou déjà utilisé, ou mot de passe trop faible
+ *       500:
+ *         description: Erreur serveur
+ */
+router.post('/password/reset', async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({
+        success: false,
+        message: "Jeton de réinitialisation requis"
+      });
+    }
+
+    // La robustesse est vérifiée avant de consommer le jeton pour pouvoir réessayer
+    const passwordError = checkPasswordStrength(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    const userId = await consumePasswordResetToken(token);
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: "Lien de réinitialisation invalide ou expiré"
+      });
+    }
+
+    const updated = await updateUserPassword(userId, await hashPassword(password));
+    if (!updated) {
+      return res.status(500).json({
+        success: false,
+        message: "Erreur lors de l'enregistrement du nouveau mot de passe"
+      });
+    }
+
+    // Déconnexion de toutes les sessions existantes de l'utilisateur
+    const destroyed = await destroyUserSessions(userId);
+    disconnectSessions(destroyed);
+    await updateUserConnectionStatus(userId, 0);
+
+    console.log(`Mot de passe réinitialisé pour l'utilisateur ${userId} (${destroyed.length} session(s) fermée(s))`);
+
+    res.status(200).json({
+      success: true,
+      message: "Mot de passe réinitialisé, vous pouvez vous reconnecter"
+    });
+  } catch (error) {
+    console.error("Erreur lors de la réinitialisation du mot de passe:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la réinitialisation du mot de passe"
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
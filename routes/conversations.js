@@ -0,0 +1,153 @@
+/**
+ * Routes pour la messagerie privée
+ * Liste des conversations, historique des messages et lecture
+ * (l'envoi des messages passe par l'événement Socket.IO send-message)
+ */
+
+import express from 'express';
+import authMiddleware, { requireSession } from '../middlewares/auth.js';
+import {
+  formatConversation,
+  formatMessage,
+  getConversationForUser,
+  listConversations,
+  listMessages,
+  markConversationRead,
+  parseMessagingId
+} from '../services/messages.js';
+import { getUsersMap } from '../services/posts.js';
+import { getUserRoom } from '../sockets/broadcast.js';
+import { getIO } from '../sockets/socket.js';
+
+const router = express.Router();
+
+/**
+ * Route pour lister les conversations de l'utilisateur connecté
+ * GET /conversations
+ *
+ * Paramètres de requête:
+ * - page: numéro de page (défaut: 1)
+ * - pageSize: nombre de conversations par page (défaut: 20, max: 50)
+ *
+ * Chaque conversation indique son dernier message et son nombre de messages non lus.
+ */
+router.get('/conversations', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const pageSize = Math.min(parseInt(req.query.pageSize) || 20, 50);
+
+    const [{ conversations, total }, usersMap] = await Promise.all([
+      listConversations(req.session.user.id, { skip: (page - 1) * pageSize, limit: pageSize }),
+      getUsersMap()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      conversations: conversations.map(conversation => formatConversation(conversation, usersMap)),
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize)
+    });
+  } catch (error) {
+    console.error("Erreur lors de la récupération des conversations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la récupération des conversations"
+    });
+  }
+});
+
+/**
+ * Route pour parcourir l'historique d'une conversation
+ * GET /conversations/:id/messages
+ *
+ * Paramètres de requête:
+ * - before: (optionnel) identifiant du plus ancien message déjà affiché (nextBefore de la réponse précédente)
+ * - limit: nombre de messages (défaut: 30, max: 100)
+ *
+ * Les messages sont renvoyés dans l'ordre chronologique, en commençant par les plus récents.
+ */
+router.get('/conversations/:id/messages', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const conversation = await getConversationForUser(req.params.id, req.session.user.id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation non trouvée"
+      });
+    }
+
+    let before = null;
+    if (req.query.before) {
+      before = parseMessagingId(req.query.before);
+      if (!before) {
+        return res.status(400).json({
+          success: false,
+          message: "Curseur de pagination invalide"
+        });
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+
+    const [{ messages, nextBefore }, usersMap] = await Promise.all([
+      listMessages(conversation._id, { before, limit }),
+      getUsersMap()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      conversation: formatConversation(conversation, usersMap),
+      messages: messages.map(message => formatMessage(message, usersMap.get(message.senderId))),
+      nextBefore
+    });
+  } catch (error) {
+    console.error("Erreur lors de la récupération des messages:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la récupération des messages"
+    });
+  }
+});
+
+/**
+ * Route pour marquer une conversation comme lue
+ * POST /conversations/:id/read
+ */
+router.post('/conversations/:id/read', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const conversation = await getConversationForUser(req.params.id, req.session.user.id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation non trouvée"
+      });
+    }
+
+    const readAt = await markConversationRead(conversation._id, req.session.user.id);
+
+    // Synchronisation des compteurs sur les sockets de l'utilisateur (comme mark-conversation-read)
+    const io = getIO();
+    if (io) {
+      io.to(getUserRoom(req.session.user.id)).emit('conversation-read', {
+        conversationId: conversation._id,
+        readAt
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      conversationId: conversation._id,
+      readAt
+    });
+  } catch (error) {
+    console.error("Erreur lors de la lecture de la conversation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la lecture de la conversation"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,143 @@
+/**
+ * Routes pour la gestion des abonnements
+ * Suivi des utilisateurs, listes d'abonnés et d'abonnements
+ */
+
+import express from 'express';
+import authMiddleware, { requireScope, requireSession } from '../middlewares/auth.js';
+import loadTargetUser from '../middlewares/target-user.js';
+import { followUser, listFollows, unfollowUser } from '../services/follows.js';
+import { getUsersMap } from '../services/posts.js';
+import { isBlockedBy } from '../services/restrictions.js';
+
+const router = express.Router();
+
+/**
+ * Route pour s'abonner à un utilisateur
+ * POST /users/:id/follow
+ */
+router.post('/users/:id/follow', authMiddleware, requireSession, loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    if (user.id === req.session.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "Impossible de s'abonner à soi-même"
+      });
+    }
+
+    if (await isBlockedBy(req.session.user.id, [user.id])) {
+      return res.status(403).json({
+        success: false,
+        message: "Cet utilisateur vous a bloqué"
+      });
+    }
+
+    const created = await followUser(req.session.user.id, user.id);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? "Abonnement effectué" : "Vous êtes déjà abonné à cet utilisateur"
+    });
+  } catch (error) {
+    console.error("Erreur lors de l'abonnement:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de l'abonnement"
+    });
+  }
+});
+
+/**
+ * Route pour se désabonner d'un utilisateur
+ * DELETE /users/:id/follow
+ */
+router.delete('/users/:id/follow', authMiddleware, requireSession, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Identifiant d'utilisateur invalide"
+      });
+    }
+
+    const deleted = await unfollowUser(req.session.user.id, parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Vous n'êtes pas abonné à cet utilisateur"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Désabonnement effectué"
+    });
+  } catch (error) {
+    console.error("Erreur lors du désabonnement:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors du désabonnement"
+    });
+  }
+});
+
+/**
+ * Crée le gestionnaire d'une liste paginée d'abonnés ou d'abonnements
+ * GET /users/:id/followers et GET /users/:id/following
+ *
+ * Paramètres de requête:
+ * - page: numéro de page (défaut: 1)
+ * - pageSize: nombre d'utilisateurs par page (défaut: 20, max: 100)
+ *
+ * @param {'followers'|'following'} direction - Liste renvoyée
+ * @returns {Function} Gestionnaire de route Express
+ */
+const listFollowsHandler = (direction) => async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    const page = parseInt(req.query.page) || 1;
+    const pageSize = Math.min(parseInt(req.query.pageSize) || 20, 100);
+
+    const [{ follows, total }, usersMap] = await Promise.all([
+      listFollows(user.id, direction, { skip: (page - 1) * pageSize, limit: pageSize }),
+      getUsersMap()
+    ]);
+
+    const users = follows.map(({ userId, since }) => {
+      const followUserInfo = usersMap.get(userId) || { name: "Utilisateur inconnu" };
+      return {
+        id: userId,
+        nom: followUserInfo.nom,
+        prenom: followUserInfo.prenom,
+        name: followUserInfo.name,
+        avatar: followUserInfo.avatar || "",
+        since
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      users,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize)
+    });
+  } catch (error) {
+    console.error(`Erreur lors de la récupération de la liste ${direction}:`, error);
+    res.status(500).json({
+      success: false,
+      message: direction === 'followers'
+        ? "Erreur serveur lors de la récupération des abonnés"
+        : "Erreur serveur lors de la récupération des abonnements"
+    });
+  }
+};
+
+router.get('/users/:id/followers', authMiddleware, requireScope('users:read'), loadTargetUser, listFollowsHandler('followers'));
+router.get('/users/:id/following', authMiddleware, requireScope('users:read'), loadTargetUser, listFollowsHandler('following'));
+
+export default router;
@@ -0,0 +1,176 @@
+/**
+ * Routes pour la gestion des hashtags
+ * Hashtags tendances et suggestions lors de la rédaction d'un post
+ */
+
+import express from 'express';
+import authMiddleware, { requireScope } from '../middlewares/auth.js';
+import checkMongoConnection from '../middlewares/db-connection.js';
+import { getCerisonetCollection } from '../services/mongo.js';
+
+const router = express.Router();
+
+// Pondération des interactions dans le score de tendance (un post compte pour 1)
+const LIKE_WEIGHT = 0.5;
+const COMMENT_WEIGHT = 1;
+
+// Fenêtre maximale d'analyse des tendances (en heures)
+const MAX_WINDOW_HOURS = 24 * 30;
+
+/**
+ * Convertit une fenêtre de temps ('24h', '7d') en nombre d'heures
+ * @param {string} window - Fenêtre de temps
+ * @returns {number|null} Nombre d'heures ou null si le format est invalide
+ */
+const parseWindow = (window) => {
+  const match = /^(\d+)([hd])$/.exec(window);
+  if (!match) {
+    return null;
+  }
+  const hours = parseInt(match[1]) * (match[2] === 'd' ? 24 : 1);
+  return hours > 0 && hours <= MAX_WINDOW_HOURS ? hours : null;
+};
+
+/**
+ * Route pour récupérer les hashtags tendances
+ * GET /hashtags/trending
+ *
+ * Paramètres de requête:
+ * - window: (optionnel) fenêtre de temps, ex. '24h' ou '7d' (défaut: 24h)
+ * - limit: (optionnel) nombre de hashtags retournés (défaut: 10, max: 50)
+ *
+ * Score = nombre de posts + likes × 0.5 + commentaires × 1
+ */
+router.get('/hashtags/trending', authMiddleware, requireScope('posts:read'), checkMongoConnection, async (req, res) => {
+  try {
+    const window = req.query.window || '24h';
+    const hours = parseWindow(window);
+
+    if (!hours) {
+      return res.status(400).json({
+        success: false,
+        message: "Fenêtre de temps invalide (formats acceptés: 24h, 7d...)"
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    // Récupération de la collection MongoDB
+    const cerisonetCollection = await getCerisonetCollection();
+    if (!cerisonetCollection) {
+      return res.status(500).json({
+        success: false,
+        message: "Erreur de connexion à la base de données MongoDB"
+      });
+    }
+
+    // Début de la fenêtre au format des champs date/hour de la collection
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString().slice(0, 19);
+
+    const hashtags = await cerisonetCollection.aggregate([
+      // Pré-filtre sur le jour puis filtre précis sur la date et l'heure
+      { $match: { hashtags: { $exists: true, $ne: [] }, date: { $gte: since.slice(0, 10) } } },
+      {
+        $match: {
+          $expr: {
+            $gte: [{ $concat: ['$date', 'T', { $ifNull: ['$hour', '00:00:00'] }] }, since]
+          }
+        }
+      },
+      { $unwind: '$hashtags' },
+      {
+        $group: {
+          _id: { $toLower: '$hashtags' },
+          posts: { $sum: 1 },
+          likes: { $sum: { $ifNull: ['$likes', 0] } },
+          comments: { $sum: { $size: { $ifNull: ['$comments', []] } } }
+        }
+      },
+      {
+        $addFields: {
+          score: {
+            $add: [
+              '$posts',
+              { $multiply: ['$likes', LIKE_WEIGHT] },
+              { $multiply: ['$comments', COMMENT_WEIGHT] }
+            ]
+          }
+        }
+      },
+      { $sort: { score: -1, posts: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, hashtag: '$_id', posts: 1, likes: 1, comments: 1, score: 1 } }
+    ]).toArray();
+
+    res.status(200).json({
+      success: true,
+      window,
+      hashtags
+    });
+  } catch (error) {
+    console.error("Erreur lors de la récupération des hashtags tendances:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la récupération des hashtags tendances"
+    });
+  }
+});
+
+/**
+ * Route de suggestion de hashtags pour l'autocomplétion
+ * GET /hashtags/suggest
+ *
+ * Paramètres de requête:
+ * - prefix: début du hashtag saisi (avec ou sans #)
+ * - limit: (optionnel) nombre de suggestions (défaut: 10, max: 50)
+ */
+router.get('/hashtags/suggest', authMiddleware, requireScope('posts:read'), checkMongoConnection, async (req, res) => {
+  try {
+    const prefix = typeof req.query.prefix === 'string' ? req.query.prefix.trim().replace(/^#/, '') : '';
+
+    if (!prefix) {
+      return res.status(400).json({
+        success: false,
+        message: "Le préfixe est requis"
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    // Récupération de la collection MongoDB
+    const cerisonetCollection = await getCerisonetCollection();
+    if (!cerisonetCollection) {
+      return res.status(500).json({
+        success: false,
+        message: "Erreur de connexion à la base de données MongoDB"
+      });
+    }
+
+    // Les hashtags sont stockés avec leur #
+    const escapedPrefix = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const prefixFilter = { $regex: `^#?${escapedPrefix}`, $options: 'i' };
+
+    const suggestions = await cerisonetCollection.aggregate([
+      { $match: { hashtags: prefixFilter } },
+      { $unwind: '$hashtags' },
+      { $match: { hashtags: prefixFilter } },
+      { $group: { _id: { $toLower: '$hashtags' }, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, hashtag: '$_id', count: 1 } }
+    ]).toArray();
+
+    res.status(200).json({
+      success: true,
+      suggestions
+    });
+  } catch (error) {
+    console.error("Erreur lors de la suggestion de hashtags:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la suggestion de hashtags"
+    });
+  }
+});
+
+export default router;
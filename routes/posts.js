@@ -1,16 +1,48 @@
 /**
  * Routes pour la gestion des posts
- * Récupération et filtrage des posts du mur d'accueil
+ * Récupération, filtrage, publication et modification des posts du mur d'accueil
  */
 
 import express from 'express';
-import authMiddleware from '../middlewares/auth.js';
+import authMiddleware, { requireScope } from '../middlewares/auth.js';
 import checkMongoConnection from '../middlewares/db-connection.js';
-import { getCerisonetCollection } from '../services/mongo.js';
-import { getAllUsers } from '../services/postgres.js';
+import { hasRole, ROLES } from '../middlewares/role.js';
+import { getCerisonetCollection, parsePostId } from '../services/mongo.js';
+import {
+  buildCursorFilter,
+  buildFeedFilter,
+  decodeCursor,
+  encodeCursor,
+  extractHashtags,
+  findOriginalPost,
+  formatPost,
+  getDateAndHour,
+  getSearchTerms,
+  getSortOptions,
+  getUsersMap,
+  highlightText
+} from '../services/posts.js';
+import { deleteUnusedImages } from '../services/uploads.js';
+import { getFollowingIds } from '../services/follows.js';
+import { getHiddenUserIds } from '../services/restrictions.js';
+import { emitEvent } from '../sockets/socket.js';
 
 const router = express.Router();
 
+/**
+ * Construit le filtre du mur pour la requête courante
+ * Le mode 'following' s'appuie sur les abonnements de l'utilisateur connecté
+ * @param {Object} req - Requête Express
+ * @param {Array<number>} hiddenUserIds - Utilisateurs masqués ou bloqués par l'utilisateur connecté
+ * @returns {Promise<Object>} Filtre MongoDB
+ */
+const getFeedFilter = async (req, hiddenUserIds) => {
+  const followingIds = req.query.filterByOwner === 'following'
+    ? await getFollowingIds(req.session.user.id)
+    : [];
+  return buildFeedFilter(req.query, followingIds, hiddenUserIds);
+};
+
 /**
  * Route pour récupérer les posts du mur d'accueil avec pagination
  * GET /posts
@@ -19,12 +51,16 @@ const router = express.Router();
  * - page: numéro de page (défaut: 1)
  * - pageSize: nombre de posts par page (défaut: 10)
  * - hashtag: (optionnel) filtre par hashtag
- * - filterByOwner: (optionnel) 'me', 'others', 'all'
+ * - filterByOwner: (optionnel) 'me', 'others', 'following' (utilisateurs suivis), 'all'
  * - userId: (optionnel) ID de l'utilisateur pour le filtre
  * - sortBy: (optionnel) 'date', 'owner', 'popularity'
  * - sortDirection: (optionnel) 'asc', 'desc'
+ * - after: (optionnel) curseur opaque (nextCursor de la réponse précédente),
+ *   remplace page pour un défilement infini stable
+ *
+ * Les posts et commentaires des utilisateurs masqués ou bloqués sont exclus.
  */
-router.get('/posts', authMiddleware, checkMongoConnection, async (req, res) => {
+router.get('/posts', authMiddleware, requireScope('posts:read'), checkMongoConnection, async (req, res) => {
   try {
     // Récupération de la collection MongoDB
     const cerisonetCollection = await getCerisonetCollection();
@@ -41,120 +77,50 @@ router.get('/posts', authMiddleware, checkMongoConnection, async (req, res) => {
     // Saut dans les posts
     const skip = (page - 1) * pageSize;
     
-    const filter = {};
-    
-    // Filtre par hashtag si présent
-    if (req.query.hashtag) {
-      filter.hashtags = req.query.hashtag;
-    }
-
-    // Filtre par propriétaire 
-    if (req.query.filterByOwner && req.query.userId) {
-      const userId = parseInt(req.query.userId);
-      
-      if (req.query.filterByOwner === 'me') {
-        // Afficher uniquement les posts de l'utilisateur connecté
-        filter.createdBy = userId;
-      } else if (req.query.filterByOwner === 'others') {
-        // Afficher uniquement les posts des autres utilisateurs
-        filter.createdBy = { $ne: userId };
-      }
-      // Par défaut c'est 'all'
-    }
+    // Filtres par hashtag et par propriétaire, sans les utilisateurs masqués
+    const hiddenUserIds = await getHiddenUserIds(req.session.user.id);
+    const filter = await getFeedFilter(req, hiddenUserIds);
 
     // Compte total des posts pour la pagination
     const totalPosts = await cerisonetCollection.countDocuments(filter);
     
     // Configuration du tri
-    let sortOptions = {};
+    const sortOptions = getSortOptions(req.query.sortBy, req.query.sortDirection);
     
-    if (req.query.sortBy) {
-      const direction = req.query.sortDirection === 'asc' ? 1 : -1;
-      
-      switch(req.query.sortBy) {
-        case 'date':
-          // Tri par date
-          sortOptions = { date: direction, hour: direction };
-          break;
-        case 'owner':
-          // Tri par propriétaire
-          sortOptions = { createdBy: direction, date: -1, hour: -1 };
-          break;
-        case 'popularity':
-          // Tri par popularité (nombre de likes)
-          sortOptions = { likes: direction, date: -1, hour: -1 };
-          break;
-        default:
-          // Tri par défaut: date décroissante
-          sortOptions = { date: -1, hour: -1 };
+    // Mode curseur: on reprend après la dernière clé de tri vue par le client
+    let query = filter;
+    if (req.query.after) {
+      const cursorValues = decodeCursor(req.query.after, sortOptions);
+      if (!cursorValues) {
+        return res.status(400).json({
+          success: false,
+          message: "Curseur de pagination invalide"
+        });
       }
-    } else {
-      // Tri par défaut: date décroissante
-      sortOptions = { date: -1, hour: -1 };
+      query = { $and: [filter, buildCursorFilter(sortOptions, cursorValues)] };
     }
     
     // Récupération des posts depuis la collection CERISoNet avec tri et pagination
-    const mongoMessages = await cerisonetCollection.find(filter)
+    // (un post de plus est demandé pour savoir s'il reste une page suivante)
+    const mongoMessages = await cerisonetCollection.find(query)
       .sort(sortOptions)
-      .skip(skip)
-      .limit(pageSize)
+      .skip(req.query.after ? 0 : skip)
+      .limit(pageSize + 1)
       .toArray();
 
+    const hasMore = mongoMessages.length > pageSize;
+    if (hasMore) {
+      mongoMessages.pop();
+    }
+    const nextCursor = hasMore ? encodeCursor(mongoMessages[mongoMessages.length - 1], sortOptions) : null;
+
     console.log(`Récupération des posts depuis MongoDB réussie, page ${page}, taille ${pageSize}, nombre de posts: ${mongoMessages.length}`);
     
     // Récupération des utilisateurs pour obtenir les noms d'auteurs
-    const users = await getAllUsers();
-    const usersMap = new Map();
-    users.forEach(user => {
-      usersMap.set(user.id, {
-        name: `${user.prenom} ${user.nom}`,
-        prenom: user.prenom,
-        nom: user.nom,
-        avatar: user.avatar
-      });
-    });
+    const usersMap = await getUsersMap();
     
     // Transformer les posts pour le format attendu par le frontend
-    const posts = await Promise.all(mongoMessages.map(async post => {
-      // Récupérer les infos de l'auteur
-      const authorUser = usersMap.get(post.createdBy) || { name: "Utilisateur inconnu" };
-      
-      // Gérer les commentaires (ajouter les noms des commentateurs)
-      const commentWithNames = post.comments ? post.comments.map(comment => {
-        const commentAuthor = usersMap.get(comment.commentedBy) || { name: "Utilisateur inconnu" };
-        return {
-          ...comment,
-          commentedByName: commentAuthor.name,
-          commentedByAvatar: commentAuthor.avatar
-        };
-      }) : [];
-      
-      // Gérer les posts partagés
-      let sharedFromName = undefined;
-      if (post.isShared && post.sharedFrom) {
-        const sharedAuthor = usersMap.get(post.sharedFrom);
-        sharedFromName = sharedAuthor ? sharedAuthor.name : "Utilisateur inconnu";
-      }
-      
-      // Construire l'objet post final
-      return {
-        id: post._id,
-        content: post.body || "",
-        author: authorUser.name,
-        authorAvatar: authorUser.avatar || "",
-        authorId: post.createdBy,
-        likes: post.likes || 0,
-        likedBy: post.likedBy || [],
-        images: post.images || [],
-        comments: commentWithNames,
-        date: post.date && post.hour ? `${post.date}T${post.hour}` : new Date().toISOString(),
-        hashtags: post.hashtags || [],
-        isShared: post.isShared || false,
-        sharedFrom: post.sharedFrom,
-        sharedFromName: sharedFromName,
-        originalPost: post.originalPost || null
-      };
-    }));
+    const posts = mongoMessages.map(post => formatPost(post, usersMap, hiddenUserIds));
     
     res.status(200).json({
       success: true,
@@ -162,7 +128,8 @@ router.get('/posts', authMiddleware, checkMongoConnection, async (req, res) => {
       total: totalPosts,
       page,
       pageSize,
-      totalPages: Math.ceil(totalPosts / pageSize)
+      totalPages: Math.ceil(totalPosts / pageSize),
+      nextCursor
     });
   } catch (error) {
     console.error("Erreur lors de la récupération des posts:", error);
@@ -173,4 +140,406 @@ router.get('/posts', authMiddleware, checkMongoConnection, async (req, res) => {
   }
 });
 
+/**
+ * Route de recherche plein texte dans les posts et leurs commentaires
+ * GET /posts/search
+ * 
+ * Paramètres de requête:
+ * - q: texte recherché
+ * - page: numéro de page (défaut: 1)
+ * - pageSize: nombre de posts par page (défaut: 10)
+ * - hashtag, filterByOwner, userId: (optionnels) mêmes filtres que GET /posts
+ * 
+ * Les résultats sont triés par pertinence et accompagnés des passages surlignés.
+ */
+router.get('/posts/search', authMiddleware, requireScope('posts:read'), checkMongoConnection, async (req, res) => {
+  try {
+    const search = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    if (!search) {
+      return res.status(400).json({
+        success: false,
+        message: "Le texte recherché est requis"
+      });
+    }
+
+    // Récupération de la collection MongoDB
+    const cerisonetCollection = await getCerisonetCollection();
+    if (!cerisonetCollection) {
+      return res.status(500).json({
+        success: false,
+        message: "Erreur de connexion à la base de données MongoDB"
+      });
+    }
+
+    // Paramètres de pagination
+    const page = parseInt(req.query.page) || 1;
+    const pageSize = parseInt(req.query.pageSize) || 10;
+    const skip = (page - 1) * pageSize;
+
+    // Recherche plein texte combinée aux filtres du mur
+    const hiddenUserIds = await getHiddenUserIds(req.session.user.id);
+    const filter = {
+      ...(await getFeedFilter(req, hiddenUserIds)),
+      $text: { $search: search }
+    };
+
+    const totalPosts = await cerisonetCollection.countDocuments(filter);
+
+    const mongoMessages = await cerisonetCollection.find(filter)
+      .project({ score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, date: -1, hour: -1 })
+      .skip(skip)
+      .limit(pageSize)
+      .toArray();
+
+    console.log(`Recherche "${search}" dans les posts, page ${page}, nombre de résultats: ${mongoMessages.length}`);
+
+    const usersMap = await getUsersMap();
+    const terms = getSearchTerms(search);
+
+    // Ajout du score et des passages surlignés à chaque post
+    const posts = mongoMessages.map(post => ({
+      ...formatPost(post, usersMap, hiddenUserIds),
+      score: post.score,
+      highlights: {
+        body: highlightText(post.body, terms),
+        comments: (post.comments || [])
+          .filter(comment => !hiddenUserIds.includes(comment.commentedBy))
+          .map(comment => ({ id: comment.id, fragment: highlightText(comment.text, terms) }))
+          .filter(comment => comment.fragment)
+      }
+    }));
+
+    res.status(200).json({
+      success: true,
+      posts,
+      total: totalPosts,
+      page,
+      pageSize,
+      totalPages: Math.ceil(totalPosts / pageSize)
+    });
+  } catch (error) {
+    console.error("Erreur lors de la recherche de posts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la recherche de posts"
+    });
+  }
+});
+
+/**
+ * Route pour récupérer un post par son identifiant
+ * GET /posts/:id
+ * 
+ * Pour un post partagé, le post original est résolu et renvoyé dans originalPost
+ * (null si l'original a été supprimé).
+ */
+router.get('/posts/:id', authMiddleware, requireScope('posts:read'), checkMongoConnection, async (req, res) => {
+  try {
+    // Récupération de la collection MongoDB
+    const cerisonetCollection = await getCerisonetCollection();
+    if (!cerisonetCollection) {
+      return res.status(500).json({
+        success: false,
+        message: "Erreur de connexion à la base de données MongoDB"
+      });
+    }
+
+    const mongoPost = await cerisonetCollection.findOne({ _id: parsePostId(req.params.id) });
+
+    if (!mongoPost) {
+      return res.status(404).json({
+        success: false,
+        message: "Post non trouvé"
+      });
+    }
+
+    // Les commentaires des utilisateurs masqués ou bloqués ne sont pas affichés
+    const usersMap = await getUsersMap();
+    const hiddenUserIds = await getHiddenUserIds(req.session.user.id);
+    const post = formatPost(mongoPost, usersMap, hiddenUserIds);
+
+    // Résolution du post original pour les partages
+    const original = await findOriginalPost(cerisonetCollection, mongoPost);
+
+    res.status(200).json({
+      success: true,
+      post,
+      originalPost: original ? formatPost(original, usersMap, hiddenUserIds) : null
+    });
+  } catch (error) {
+    console.error("Erreur lors de la récupération du post:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la récupération du post"
+    });
+  }
+});
+
+/**
+ * Route pour publier un nouveau post
+ * POST /posts
+ * 
+ * Corps de la requête:
+ * - body: texte du post (les #hashtags sont extraits automatiquement)
+ * - images: (optionnel) liste d'images du post
+ */
+router.post('/posts', authMiddleware, requireScope('posts:write'), checkMongoConnection, async (req, res) => {
+  try {
+    const { body, images } = req.body;
+
+    // Validation des entrées
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Le contenu du post est requis"
+      });
+    }
+
+    if (images !== undefined && !Array.isArray(images)) {
+      return res.status(400).json({
+        success: false,
+        message: "Le champ images doit être une liste"
+      });
+    }
+
+    // Récupération de la collection MongoDB
+    const cerisonetCollection = await getCerisonetCollection();
+    if (!cerisonetCollection) {
+      return res.status(500).json({
+        success: false,
+        message: "Erreur de connexion à la base de données MongoDB"
+      });
+    }
+
+    // Création du post au format de la collection CERISoNet
+    const { date, hour } = getDateAndHour();
+    const newPost = {
+      body: body.trim(),
+      createdBy: req.session.user.id,
+      date,
+      hour,
+      likes: 0,
+      likedBy: [],
+      comments: [],
+      hashtags: extractHashtags(body),
+      images: images || []
+    };
+
+    const result = await cerisonetCollection.insertOne(newPost);
+
+    if (!result.acknowledged) {
+      return res.status(500).json({
+        success: false,
+        message: "Erreur lors de la sauvegarde du post"
+      });
+    }
+
+    console.log(`Post créé avec succès par l'utilisateur ${req.session.user.id}, nouvel ID: ${result.insertedId}`);
+
+    // Notification en temps réel du nouveau post
+    const usersMap = await getUsersMap();
+    const post = formatPost({ ...newPost, _id: result.insertedId }, usersMap);
+    emitEvent('new-post', post, [post.authorId]);
+
+    res.status(201).json({
+      success: true,
+      message: "Post publié avec succès",
+      post
+    });
+  } catch (error) {
+    console.error("Erreur lors de la création du post:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la création du post"
+    });
+  }
+});
+
+/**
+ * Route pour modifier un de ses posts
+ * PUT /posts/:id
+ * 
+ * Corps de la requête:
+ * - body: nouveau texte du post (les hashtags sont recalculés)
+ *   Pour un partage, il remplace le commentaire du partage (shareComment, peut être vide):
+ *   le contenu copié du post original n'est jamais modifié
+ * - images: (optionnel) nouvelle liste d'images du post (refusée pour un partage)
+ */
+router.put('/posts/:id', authMiddleware, requireScope('posts:write'), checkMongoConnection, async (req, res) => {
+  try {
+    const { body, images } = req.body;
+
+    // Validation des entrées
+    if (typeof body !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: "Le contenu du post est requis"
+      });
+    }
+
+    if (images !== undefined && !Array.isArray(images)) {
+      return res.status(400).json({
+        success: false,
+        message: "Le champ images doit être une liste"
+      });
+    }
+
+    // Récupération de la collection MongoDB
+    const cerisonetCollection = await getCerisonetCollection();
+    if (!cerisonetCollection) {
+      return res.status(500).json({
+        success: false,
+        message: "Erreur de connexion à la base de données MongoDB"
+      });
+    }
+
+    const postId = parsePostId(req.params.id);
+    const post = await cerisonetCollection.findOne({ _id: postId });
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: "Post non trouvé"
+      });
+    }
+
+    // Seul l'auteur du post peut le modifier
+    if (post.createdBy !== req.session.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Vous ne pouvez modifier que vos propres posts"
+      });
+    }
+
+    let update;
+    if (post.isShared) {
+      // Le contenu d'un partage est une copie du post original: seul le commentaire du partage est modifiable
+      if (images !== undefined) {
+        return res.status(400).json({
+          success: false,
+          message: "Les images d'un partage ne peuvent pas être modifiées"
+        });
+      }
+
+      const shareComment = body.trim();
+      update = {
+        shareComment: shareComment || null,
+        hashtags: [...new Set([...extractHashtags(post.body), ...extractHashtags(shareComment)])]
+      };
+    } else {
+      if (!body.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Le contenu du post est requis"
+        });
+      }
+
+      update = {
+        body: body.trim(),
+        hashtags: extractHashtags(body)
+      };
+      if (images !== undefined) {
+        update.images = images;
+      }
+    }
+
+    await cerisonetCollection.updateOne({ _id: postId }, { $set: update });
+
+    // Suppression des fichiers des images retirées du post
+    if (update.images) {
+      const removedImages = (post.images || []).filter(image => !update.images.includes(image));
+      await deleteUnusedImages(cerisonetCollection, removedImages, post.createdBy);
+    }
+
+    console.log(`Post ${req.params.id} modifié par l'utilisateur ${req.session.user.id}`);
+
+    // Notification en temps réel de la modification
+    const usersMap = await getUsersMap();
+    const updatedPost = formatPost({ ...post, ...update }, usersMap);
+    emitEvent('post-updated', updatedPost, [updatedPost.authorId, updatedPost.sharedFrom]);
+
+    res.status(200).json({
+      success: true,
+      message: "Post modifié avec succès",
+      post: updatedPost
+    });
+  } catch (error) {
+    console.error("Erreur lors de la modification du post:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la modification du post"
+    });
+  }
+});
+
+/**
+ * Route pour supprimer un de ses posts (ou n'importe quel post pour un modérateur)
+ * DELETE /posts/:id
+ * 
+ * Les partages du post supprimé sont conservés (ils contiennent une copie du contenu)
+ * mais sont marqués avec originalDeleted pour que le client n'affiche plus de lien vers l'original.
+ */
+router.delete('/posts/:id', authMiddleware, requireScope('posts:write'), checkMongoConnection, async (req, res) => {
+  try {
+    // Récupération de la collection MongoDB
+    const cerisonetCollection = await getCerisonetCollection();
+    if (!cerisonetCollection) {
+      return res.status(500).json({
+        success: false,
+        message: "Erreur de connexion à la base de données MongoDB"
+      });
+    }
+
+    const postId = parsePostId(req.params.id);
+    const post = await cerisonetCollection.findOne({ _id: postId });
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: "Post non trouvé"
+      });
+    }
+
+    // Seul l'auteur du post (ou un modérateur) peut le supprimer
+    if (post.createdBy !== req.session.user.id && !hasRole(req.session.user, ROLES.MODERATOR)) {
+      return res.status(403).json({
+        success: false,
+        message: "Vous ne pouvez supprimer que vos propres posts"
+      });
+    }
+
+    await cerisonetCollection.deleteOne({ _id: postId });
+
+    // Les partages référencent l'original par l'identifiant envoyé par le client
+    const sharesResult = await cerisonetCollection.updateMany(
+      { originalPost: { $in: [req.params.id, postId] } },
+      { $set: { originalDeleted: true } }
+    );
+
+    // Suppression des fichiers des images du post
+    await deleteUnusedImages(cerisonetCollection, post.images, post.createdBy);
+
+    console.log(`Post ${req.params.id} supprimé par l'utilisateur ${req.session.user.id} (${sharesResult.modifiedCount} partage(s) orphelin(s))`);
+
+    // Notification en temps réel de la suppression
+    emitEvent('post-deleted', {
+      postId: post._id,
+      userId: req.session.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Post supprimé avec succès"
+    });
+  } catch (error) {
+    console.error("Erreur lors de la suppression du post:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la suppression du post"
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
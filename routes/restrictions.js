@@ -0,0 +1,159 @@
+/**
+ * Routes pour le masquage et le blocage des utilisateurs
+ * Un utilisateur masqué disparaît du mur, un utilisateur bloqué ne peut plus
+ * liker, commenter ni partager les posts de celui qui l'a bloqué
+ */
+
+import express from 'express';
+import authMiddleware, { requireSession } from '../middlewares/auth.js';
+import loadTargetUser from '../middlewares/target-user.js';
+import { unfollowUser } from '../services/follows.js';
+import { getUsersMap } from '../services/posts.js';
+import { addRestriction, listRestrictions, removeRestriction, RESTRICTION_TYPES } from '../services/restrictions.js';
+
+const router = express.Router();
+
+// Messages propres à chaque type de restriction
+const MESSAGES = {
+  [RESTRICTION_TYPES.MUTE]: {
+    self: "Impossible de se masquer soi-même",
+    created: "Utilisateur masqué",
+    existing: "Cet utilisateur est déjà masqué",
+    removed: "Utilisateur démasqué",
+    missing: "Cet utilisateur n'est pas masqué",
+    action: "du masquage"
+  },
+  [RESTRICTION_TYPES.BLOCK]: {
+    self: "Impossible de se bloquer soi-même",
+    created: "Utilisateur bloqué",
+    existing: "Cet utilisateur est déjà bloqué",
+    removed: "Utilisateur débloqué",
+    missing: "Cet utilisateur n'est pas bloqué",
+    action: "du blocage"
+  }
+};
+
+/**
+ * Crée le gestionnaire d'ajout d'une restriction
+ * POST /users/:id/mute et POST /users/:id/block
+ * @param {string} type - Type de restriction (voir RESTRICTION_TYPES)
+ * @returns {Function} Gestionnaire de route Express
+ */
+const addRestrictionHandler = (type) => async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const target = req.targetUser;
+
+    if (target.id === userId) {
+      return res.status(400).json({
+        success: false,
+        message: MESSAGES[type].self
+      });
+    }
+
+    const created = await addRestriction(userId, target.id, type);
+
+    // Le blocage rompt les abonnements dans les deux sens
+    if (type === RESTRICTION_TYPES.BLOCK) {
+      await Promise.all([
+        unfollowUser(userId, target.id),
+        unfollowUser(target.id, userId)
+      ]);
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? MESSAGES[type].created : MESSAGES[type].existing
+    });
+  } catch (error) {
+    console.error(`Erreur lors ${MESSAGES[type].action}:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Erreur serveur lors ${MESSAGES[type].action}`
+    });
+  }
+};
+
+/**
+ * Crée le gestionnaire de suppression d'une restriction
+ * DELETE /users/:id/mute et DELETE /users/:id/block
+ * @param {string} type - Type de restriction (voir RESTRICTION_TYPES)
+ * @returns {Function} Gestionnaire de route Express
+ */
+const removeRestrictionHandler = (type) => async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Identifiant d'utilisateur invalide"
+      });
+    }
+
+    const removed = await removeRestriction(req.session.user.id, parseInt(req.params.id), type);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: MESSAGES[type].missing
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: MESSAGES[type].removed
+    });
+  } catch (error) {
+    console.error(`Erreur lors de l'annulation ${MESSAGES[type].action}:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Erreur serveur lors de l'annulation ${MESSAGES[type].action}`
+    });
+  }
+};
+
+/**
+ * Crée le gestionnaire de la liste des utilisateurs masqués ou bloqués par l'utilisateur connecté
+ * GET /mutes et GET /blocks
+ * @param {string} type - Type de restriction (voir RESTRICTION_TYPES)
+ * @returns {Function} Gestionnaire de route Express
+ */
+const listRestrictionsHandler = (type) => async (req, res) => {
+  try {
+    const [restrictions, usersMap] = await Promise.all([
+      listRestrictions(req.session.user.id, type),
+      getUsersMap()
+    ]);
+
+    const users = restrictions.map(({ userId, since }) => {
+      const restrictedUser = usersMap.get(userId) || { name: "Utilisateur inconnu" };
+      return {
+        id: userId,
+        nom: restrictedUser.nom,
+        prenom: restrictedUser.prenom,
+        name: restrictedUser.name,
+        avatar: restrictedUser.avatar || "",
+        since
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      users
+    });
+  } catch (error) {
+    console.error(`Erreur lors de la récupération de la liste ${type}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la récupération de la liste"
+    });
+  }
+};
+
+router.post('/users/:id/mute', authMiddleware, requireSession, loadTargetUser, addRestrictionHandler(RESTRICTION_TYPES.MUTE));
+router.delete('/users/:id/mute', authMiddleware, requireSession, removeRestrictionHandler(RESTRICTION_TYPES.MUTE));
+router.get('/mutes', authMiddleware, requireSession, listRestrictionsHandler(RESTRICTION_TYPES.MUTE));
+
+router.post('/users/:id/block', authMiddleware, requireSession, loadTargetUser, addRestrictionHandler(RESTRICTION_TYPES.BLOCK));
+router.delete('/users/:id/block', authMiddleware, requireSession, removeRestrictionHandler(RESTRICTION_TYPES.BLOCK));
+router.get('/blocks', authMiddleware, requireSession, listRestrictionsHandler(RESTRICTION_TYPES.BLOCK));
+
+export default router;
@@ -0,0 +1,115 @@
+/**
+ * Routes pour la gestion des sessions
+ * Liste des sessions ouvertes et déconnexion à distance
+ */
+
+import express from 'express';
+import authMiddleware, { requireSession } from '../middlewares/auth.js';
+import { updateUserConnectionStatus } from '../services/postgres.js';
+import { destroyUserSessions, hasActiveSession, listUserSessions } from '../services/sessions.js';
+import { disconnectSessions } from '../sockets/socket.js';
+
+const router = express.Router();
+
+/**
+ * Termine la révocation de sessions: sockets, statut de connexion et session courante
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Array<string>} revokedIds - Identifiants réels des sessions supprimées
+ * @param {string} message - Message de succès
+ */
+const completeRevocation = async (req, res, revokedIds, message) => {
+  const userId = req.session.user.id;
+  disconnectSessions(revokedIds);
+
+  // L'utilisateur n'est plus connecté nulle part
+  if (!(await hasActiveSession(userId))) {
+    await updateUserConnectionStatus(userId, 0);
+  }
+
+  console.log(`${revokedIds.length} session(s) révoquée(s) pour l'utilisateur ${userId}`);
+
+  const body = { success: true, message, revoked: revokedIds.length };
+
+  // La session courante a été supprimée du store: on l'oublie aussi côté client
+  if (revokedIds.includes(req.sessionID)) {
+    return req.session.destroy(() => {
+      res.clearCookie('cerisonet.sid');
+      res.status(200).json({ ...body, currentRevoked: true });
+    });
+  }
+
+  res.status(200).json({ ...body, currentRevoked: false });
+};
+
+/**
+ * Route pour lister les sessions ouvertes de l'utilisateur connecté
+ * GET /sessions
+ */
+router.get('/sessions', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.session.user.id, req.sessionID);
+
+    res.status(200).json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    console.error("Erreur lors de la récupération des sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la récupération des sessions"
+    });
+  }
+});
+
+/**
+ * Route pour fermer une session à distance
+ * DELETE /sessions/:id
+ *
+ * L'identifiant est celui renvoyé par GET /sessions.
+ */
+router.delete('/sessions/:id', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const revokedIds = await destroyUserSessions(req.session.user.id, { publicId: req.params.id });
+
+    if (!revokedIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: "Session non trouvée"
+      });
+    }
+
+    await completeRevocation(req, res, revokedIds, "Session fermée");
+  } catch (error) {
+    console.error("Erreur lors de la fermeture de la session:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la fermeture de la session"
+    });
+  }
+});
+
+/**
+ * Route pour se déconnecter partout
+ * DELETE /sessions
+ *
+ * Paramètres de requête:
+ * - keepCurrent: (optionnel) 'true' pour conserver la session courante
+ */
+router.delete('/sessions', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const options = req.query.keepCurrent === 'true' ? { exceptSessionId: req.sessionID } : {};
+    const revokedIds = await destroyUserSessions(req.session.user.id, options);
+
+    await completeRevocation(req, res, revokedIds, "Déconnexion de toutes les sessions réussie");
+  } catch (error) {
+    console.error("Erreur lors de la déconnexion de toutes les sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la déconnexion de toutes les sessions"
+    });
+  }
+});
+
+export default router;
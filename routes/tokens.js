@@ -0,0 +1,132 @@
+/**
+ * Routes pour la gestion des jetons d'accès personnels
+ * Création, liste et révocation des jetons utilisés par les scripts et intégrations
+ */
+
+import express from 'express';
+import authMiddleware, { requireSession } from '../middlewares/auth.js';
+import { API_SCOPES, createApiToken, listApiTokens, revokeApiToken } from '../services/api-tokens.js';
+
+const router = express.Router();
+
+// Durée de validité maximale d'un jeton (en jours)
+const MAX_EXPIRATION_DAYS = 365;
+
+/**
+ * Route pour créer un jeton d'accès
+ * POST /tokens
+ *
+ * Corps de la requête:
+ * - name: nom du jeton (ex: "Script d'export")
+ * - scopes: portées accordées parmi posts:read, posts:write, users:read
+ * - expiresInDays: (optionnel) durée de validité en jours (sans expiration si absent)
+ *
+ * Le jeton en clair n'est renvoyé qu'à la création.
+ */
+router.post('/tokens', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const { scopes, expiresInDays } = req.body;
+
+    // Validation des entrées
+    if (!name || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Le nom du jeton est requis (100 caractères maximum)"
+      });
+    }
+
+    if (!Array.isArray(scopes) || !scopes.length || scopes.some(scope => !API_SCOPES.includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        message: `Portées invalides (valeurs possibles: ${API_SCOPES.join(', ')})`
+      });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = parseInt(expiresInDays);
+      if (!days || days < 1 || days > MAX_EXPIRATION_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `La durée de validité doit être comprise entre 1 et ${MAX_EXPIRATION_DAYS} jours`
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { token, apiToken } = await createApiToken(req.session.user.id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    console.log(`Jeton d'accès ${apiToken.id} créé par l'utilisateur ${req.session.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Jeton créé, copiez-le maintenant: il ne sera plus affiché",
+      token,
+      apiToken
+    });
+  } catch (error) {
+    console.error("Erreur lors de la création du jeton d'accès:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la création du jeton d'accès"
+    });
+  }
+});
+
+/**
+ * Route pour lister ses jetons d'accès actifs
+ * GET /tokens
+ */
+router.get('/tokens', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const tokens = await listApiTokens(req.session.user.id);
+
+    res.status(200).json({
+      success: true,
+      tokens
+    });
+  } catch (error) {
+    console.error("Erreur lors de la récupération des jetons d'accès:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la récupération des jetons d'accès"
+    });
+  }
+});
+
+/**
+ * Route pour révoquer un de ses jetons d'accès
+ * DELETE /tokens/:id
+ */
+router.delete('/tokens/:id', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const revoked = await revokeApiToken(req.session.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "Jeton non trouvé"
+      });
+    }
+
+    console.log(`Jeton d'accès ${req.params.id} révoqué par l'utilisateur ${req.session.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Jeton révoqué"
+    });
+  } catch (error) {
+    console.error("Erreur lors de la révocation du jeton d'accès:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la révocation du jeton d'accès"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,218 @@
+/**
+ * Routes pour la double authentification
+ * Enrôlement d'une application TOTP, codes de secours et désactivation
+ */
+
+import express from 'express';
+import authMiddleware, { requireSession } from '../middlewares/auth.js';
+import { getLoginRetryAfter, recordLoginFailure, resetLoginFailures } from '../services/login-attempts.js';
+import { buildOtpauthUri } from '../services/totp.js';
+import {
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  regenerateRecoveryCodes,
+  startTwoFactorSetup,
+  verifySecondFactor
+} from '../services/two-factor.js';
+
+const router = express.Router();
+
+/**
+ * Vérifie le code de double authentification envoyé pour une opération sensible
+ * Les codes sont soumis au même blocage que la connexion (adresse IP et compte)
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @returns {Promise<boolean>} Vrai si le code est valide, sinon la réponse d'erreur a été envoyée
+ */
+const checkSecondFactor = async (req, res) => {
+  const { id, mail } = req.session.user;
+
+  const retryAfter = await getLoginRetryAfter(req.ip, mail);
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      success: false,
+      message: "Trop de tentatives, veuillez réessayer plus tard",
+      retryAfter
+    });
+    return false;
+  }
+
+  if (!(await verifySecondFactor(id, req.body.code))) {
+    await recordLoginFailure(req.ip, mail);
+    res.status(400).json({
+      success: false,
+      message: "Code invalide"
+    });
+    return false;
+  }
+
+  await resetLoginFailures(mail);
+  return true;
+};
+
+/**
+ * Route pour connaître l'état de la double authentification
+ * GET /2fa
+ */
+router.get('/2fa', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.session.user.id);
+
+    res.status(200).json({
+      success: true,
+      ...status
+    });
+  } catch (error) {
+    console.error("Erreur lors de la récupération de l'état de la double authentification:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la récupération de l'état de la double authentification"
+    });
+  }
+});
+
+/**
+ * Route pour démarrer l'enrôlement
+ * POST /2fa/setup
+ *
+ * Renvoie le secret et l'URI otpauth:// à ajouter dans l'application d'authentification.
+ * La double authentification n'est activée qu'après POST /2fa/enable.
+ */
+router.post('/2fa/setup', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const { enabled } = await getTwoFactorStatus(req.session.user.id);
+    if (enabled) {
+      return res.status(409).json({
+        success: false,
+        message: "La double authentification est déjà activée"
+      });
+    }
+
+    const secret = await startTwoFactorSetup(req.session.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Ajoutez ce compte à votre application d'authentification puis confirmez avec un premier code",
+      secret,
+      otpauthUri: buildOtpauthUri(secret, req.session.user.mail)
+    });
+  } catch (error) {
+    console.error("Erreur lors de l'enrôlement de la double authentification:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de l'enrôlement de la double authentification"
+    });
+  }
+});
+
+/**
+ * Route pour activer la double authentification
+ * POST /2fa/enable
+ *
+ * Corps de la requête:
+ * - code: premier code affiché par l'application d'authentification
+ *
+ * Les codes de secours ne sont renvoyés qu'à l'activation.
+ */
+router.post('/2fa/enable', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: "Code requis"
+      });
+    }
+
+    const recoveryCodes = await confirmTwoFactorSetup(req.session.user.id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: "Code invalide ou aucun enrôlement en cours"
+      });
+    }
+
+    console.log(`Double authentification activée pour l'utilisateur ${req.session.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Double authentification activée, conservez ces codes de secours: ils ne seront plus affichés",
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error("Erreur lors de l'activation de la double authentification:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de l'activation de la double authentification"
+    });
+  }
+});
+
+/**
+ * Route pour générer de nouveaux codes de secours (les anciens sont invalidés)
+ * POST /2fa/recovery-codes
+ *
+ * Corps de la requête:
+ * - code: code TOTP ou code de secours valide
+ */
+router.post('/2fa/recovery-codes', authMiddleware, requireSession, async (req, res) => {
+  try {
+    if (!(await checkSecondFactor(req, res))) {
+      return;
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.session.user.id);
+    if (!recoveryCodes) {
+      return res.status(409).json({
+        success: false,
+        message: "La double authentification n'est pas activée"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Nouveaux codes de secours générés, les précédents ne sont plus valides",
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error("Erreur lors de la génération des codes de secours:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la génération des codes de secours"
+    });
+  }
+});
+
+/**
+ * Route pour désactiver la double authentification
+ * POST /2fa/disable
+ *
+ * Corps de la requête:
+ * - code: code TOTP ou code de secours valide
+ */
+router.post('/2fa/disable', authMiddleware, requireSession, async (req, res) => {
+  try {
+    if (!(await checkSecondFactor(req, res))) {
+      return;
+    }
+
+    await disableTwoFactor(req.session.user.id);
+
+    console.log(`Double authentification désactivée pour l'utilisateur ${req.session.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Double authentification désactivée"
+    });
+  } catch (error) {
+    console.error("Erreur lors de la désactivation de la double authentification:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la désactivation de la double authentification"
+    });
+  }
+});
+
+export default router;
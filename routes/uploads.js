@@ -0,0 +1,114 @@
+/**
+ * Routes pour le téléversement de fichiers
+ * Envoi des images à joindre aux posts
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import multer from 'multer';
+import authMiddleware, { requireScope } from '../middlewares/auth.js';
+import { uploadConfig } from '../config/upload.js';
+import { ensureUploadDirectory, getUploadPath, isValidImageFile, recordUploads } from '../services/uploads.js';
+
+const router = express.Router();
+
+ensureUploadDirectory();
+
+// Stockage sur le disque avec un nom aléatoire (le nom d'origine n'est jamais réutilisé)
+const storage = multer.diskStorage({
+  destination: uploadConfig.directory,
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomUUID()}${uploadConfig.allowedTypes[file.mimetype]}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: uploadConfig.maxFileSize,
+    files: uploadConfig.maxFiles
+  },
+  fileFilter: (req, file, cb) => {
+    if (uploadConfig.allowedTypes[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+  }
+});
+
+/**
+ * Supprime les fichiers d'un envoi refusé
+ * @param {Array} files - Fichiers enregistrés par multer
+ */
+const removeFiles = async (files) => {
+  await Promise.all((files || []).map(file => fs.promises.unlink(file.path).catch(() => {})));
+};
+
+/**
+ * Route pour téléverser des images
+ * POST /uploads/images
+ *
+ * Corps de la requête (multipart/form-data):
+ * - images: un ou plusieurs fichiers (JPEG, PNG, GIF ou WebP, 4 au maximum)
+ *
+ * Renvoie les chemins (/uploads/...) à placer dans le champ images d'un post.
+ */
+router.post('/uploads/images', authMiddleware, requireScope('posts:write'), (req, res) => {
+  upload.array('images', uploadConfig.maxFiles)(req, res, async (err) => {
+    try {
+      if (err instanceof multer.MulterError) {
+        await removeFiles(req.files);
+        const messages = {
+          LIMIT_FILE_SIZE: `Fichier trop volumineux (maximum ${Math.round(uploadConfig.maxFileSize / 1024 / 1024)} Mo)`,
+          LIMIT_FILE_COUNT: `Trop de fichiers (maximum ${uploadConfig.maxFiles})`,
+          LIMIT_UNEXPECTED_FILE: "Type de fichier non autorisé (JPEG, PNG, GIF ou WebP uniquement)"
+        };
+        return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          success: false,
+          message: messages[err.code] || "Fichier refusé"
+        });
+      }
+      if (err) {
+        throw err;
+      }
+
+      if (!req.files || !req.files.length) {
+        return res.status(400).json({
+          success: false,
+          message: "Aucune image reçue"
+        });
+      }
+
+      // Vérification du contenu réel des fichiers (le type MIME est fourni par le client)
+      for (const file of req.files) {
+        if (!(await isValidImageFile(file.path, file.mimetype))) {
+          await removeFiles(req.files);
+          return res.status(400).json({
+            success: false,
+            message: `Le fichier ${file.originalname} n'est pas une image valide`
+          });
+        }
+      }
+
+      await recordUploads(req.files.map(file => file.filename), req.session.user.id);
+
+      console.log(`${req.files.length} image(s) téléversée(s) par l'utilisateur ${req.session.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        images: req.files.map(file => getUploadPath(file.filename))
+      });
+    } catch (error) {
+      console.error("Erreur lors du téléversement des images:", error);
+      await removeFiles(req.files);
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur lors du téléversement des images"
+      });
+    }
+  });
+});
+
+export default router;
@@ -1,19 +1,76 @@
 /**
  * Routes pour la gestion des utilisateurs
- * Récupération des informations utilisateur et des utilisateurs connectés
+ * Récupération des informations utilisateur, des utilisateurs connectés et des profils publics
  */
 
 import express from 'express';
-import authMiddleware from '../middlewares/auth.js';
-import { getConnectedUsers } from '../services/postgres.js';
+import multer from 'multer';
+import { authConfig } from '../config/auth.js';
+import { uploadConfig } from '../config/upload.js';
+import authMiddleware, { requireScope, requireSession } from '../middlewares/auth.js';
+import checkMongoConnection from '../middlewares/db-connection.js';
+import { getCerisonetCollection } from '../services/mongo.js';
+import { getConnectedUsers, getUserById, updateUserProfile } from '../services/postgres.js';
+import {
+  buildCursorFilter,
+  decodeCursor,
+  encodeCursor,
+  formatPost,
+  getSortOptions,
+  getUserPostStats,
+  getUsersMap
+} from '../services/posts.js';
+import { getFollowStats } from '../services/follows.js';
+import { getHiddenUserIds } from '../services/restrictions.js';
+import { updateUserSessions } from '../services/sessions.js';
+import { deleteAvatarFile, ensureUploadDirectory, getUploadPath, isValidImageBuffer, saveAvatar } from '../services/uploads.js';
+import { emitEvent, updateSocketUser } from '../sockets/socket.js';
 
 const router = express.Router();
 
+ensureUploadDirectory();
+
+// L'avatar est gardé en mémoire: il est redimensionné avant d'être écrit sur le disque
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: uploadConfig.maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (uploadConfig.allowedTypes[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+  }
+});
+
+/**
+ * Propage une modification du profil: session courante, autres sessions,
+ * sockets ouvertes et murs des autres utilisateurs (événement user-updated)
+ * @param {Object} req - Requête Express
+ * @param {Object} user - Compte mis à jour (voir updateUserProfile)
+ */
+const propagateProfileUpdate = async (req, user) => {
+  const fields = { nom: user.nom, prenom: user.prenom, avatar: user.avatar || null };
+
+  Object.assign(req.session.user, fields);
+  await updateUserSessions(user.id, fields, req.sessionID);
+  updateSocketUser(user.id, fields);
+
+  emitEvent('user-updated', {
+    id: user.id,
+    ...fields,
+    name: `${user.prenom} ${user.nom}`
+  });
+};
+
 /**
  * Route pour récupérer les informations de l'utilisateur connecté
  * GET /user
  */
-router.get('/user', authMiddleware, (req, res) => {
+router.get('/user', authMiddleware, requireScope('users:read'), (req, res) => {
   res.status(200).json({
     success: true,
     user: req.session.user
@@ -24,7 +81,7 @@ router.get('/user', authMiddleware, (req, res) => {
  * Route pour récupérer les utilisateurs connectés
  * GET /users/connected
  */
-router.get('/users/connected', authMiddleware, async (req, res) => {
+router.get('/users/connected', authMiddleware, requireScope('users:read'), async (req, res) => {
   try {
     // Récupérer les utilisateurs avec statut_connexion = 1
     const connectedUsers = await getConnectedUsers();
@@ -42,4 +99,255 @@ router.get('/users/connected', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * Route pour récupérer le profil public d'un utilisateur
+ * GET /users/:id
+ *
+ * Paramètres de requête:
+ * - page: numéro de page des posts (défaut: 1)
+ * - pageSize: nombre de posts par page (défaut: 10, max: 50)
+ * - sortBy: (optionnel) 'date', 'popularity'
+ * - sortDirection: (optionnel) 'asc', 'desc'
+ * - after: (optionnel) curseur opaque (nextCursor de la réponse précédente)
+ *
+ * Renvoie le profil (nom, prénom, avatar), les statistiques d'activité, les abonnements
+ * et les posts de l'utilisateur au format du mur d'accueil.
+ */
+router.get('/users/:id', authMiddleware, requireScope('users:read'), requireScope('posts:read'), checkMongoConnection, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Identifiant d'utilisateur invalide"
+      });
+    }
+
+    const user = await getUserById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Utilisateur non trouvé"
+      });
+    }
+
+    // Récupération de la collection MongoDB
+    const cerisonetCollection = await getCerisonetCollection();
+    if (!cerisonetCollection) {
+      return res.status(500).json({
+        success: false,
+        message: "Erreur de connexion à la base de données MongoDB"
+      });
+    }
+
+    // Paramètres de pagination
+    const page = parseInt(req.query.page) || 1;
+    const pageSize = Math.min(parseInt(req.query.pageSize) || 10, 50);
+    const skip = (page - 1) * pageSize;
+
+    const filter = { createdBy: user.id };
+    const sortOptions = getSortOptions(req.query.sortBy, req.query.sortDirection);
+
+    // Mode curseur: on reprend après la dernière clé de tri vue par le client
+    let query = filter;
+    if (req.query.after) {
+      const cursorValues = decodeCursor(req.query.after, sortOptions);
+      if (!cursorValues) {
+        return res.status(400).json({
+          success: false,
+          message: "Curseur de pagination invalide"
+        });
+      }
+      query = { $and: [filter, buildCursorFilter(sortOptions, cursorValues)] };
+    }
+
+    const [stats, follows, mongoMessages, usersMap, hiddenUserIds] = await Promise.all([
+      getUserPostStats(cerisonetCollection, user.id),
+      getFollowStats(user.id, req.session.user.id),
+      cerisonetCollection.find(query)
+        .sort(sortOptions)
+        .skip(req.query.after ? 0 : skip)
+        .limit(pageSize + 1)
+        .toArray(),
+      getUsersMap(),
+      getHiddenUserIds(req.session.user.id)
+    ]);
+
+    const hasMore = mongoMessages.length > pageSize;
+    if (hasMore) {
+      mongoMessages.pop();
+    }
+    const nextCursor = hasMore ? encodeCursor(mongoMessages[mongoMessages.length - 1], sortOptions) : null;
+
+    // Posts publiés et partages de l'utilisateur
+    const total = stats.posts + stats.shares;
+
+    res.status(200).json({
+      success: true,
+      user: {
+        id: user.id,
+        nom: user.nom,
+        prenom: user.prenom,
+        avatar: user.avatar || ""
+      },
+      stats,
+      follows,
+      posts: mongoMessages.map(post => formatPost(post, usersMap, hiddenUserIds)),
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize),
+      nextCursor
+    });
+  } catch (error) {
+    console.error("Erreur lors de la récupération du profil utilisateur:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la récupération du profil utilisateur"
+    });
+  }
+});
+
+/**
+ * Route pour modifier le profil de l'utilisateur connecté
+ * PUT /user
+ *
+ * Corps de la requête:
+ * - nom: (optionnel) nouveau nom
+ * - prenom: (optionnel) nouveau prénom
+ */
+router.put('/user', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const updates = {};
+
+    for (const field of ['nom', 'prenom']) {
+      if (req.body[field] === undefined) {
+        continue;
+      }
+      const value = typeof req.body[field] === 'string' ? req.body[field].trim() : '';
+      if (!authConfig.namePattern.test(value)) {
+        return res.status(400).json({
+          success: false,
+          message: "Nom et prénom invalides (lettres, espaces, tirets et apostrophes, 50 caractères maximum)"
+        });
+      }
+      updates[field] = value;
+    }
+
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({
+        success: false,
+        message: "Aucune modification fournie (nom, prenom)"
+      });
+    }
+
+    const user = await updateUserProfile(req.session.user.id, updates);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "Utilisateur non trouvé"
+      });
+    }
+
+    await propagateProfileUpdate(req, user);
+
+    console.log(`Profil mis à jour pour l'utilisateur ${user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Profil mis à jour",
+      user: req.session.user
+    });
+  } catch (error) {
+    console.error("Erreur lors de la mise à jour du profil:", error);
+    res.status(500).json({
+      success: false,
+      message: "Erreur serveur lors de la mise à jour du profil"
+    });
+  }
+});
+
+/**
+ * Route pour changer l'avatar de l'utilisateur connecté
+ * PUT /user/avatar
+ *
+ * Corps de la requête (multipart/form-data):
+ * - avatar: image JPEG, PNG, GIF ou WebP, redimensionnée en carré
+ */
+router.put('/user/avatar', authMiddleware, requireSession, (req, res) => {
+  avatarUpload.single('avatar')(req, res, async (err) => {
+    let filename = null;
+    try {
+      if (err instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `Fichier trop volumineux (maximum ${Math.round(uploadConfig.maxFileSize / 1024 / 1024)} Mo)`,
+          LIMIT_UNEXPECTED_FILE: "Type de fichier non autorisé (JPEG, PNG, GIF ou WebP uniquement)"
+        };
+        return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          success: false,
+          message: messages[err.code] || "Fichier refusé"
+        });
+      }
+      if (err) {
+        throw err;
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "Aucune image reçue"
+        });
+      }
+
+      // Vérification du contenu réel du fichier (le type MIME est fourni par le client)
+      if (!isValidImageBuffer(req.file.buffer, req.file.mimetype)) {
+        return res.status(400).json({
+          success: false,
+          message: "Le fichier n'est pas une image valide"
+        });
+      }
+
+      try {
+        filename = await saveAvatar(req.file.buffer);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Le fichier n'est pas une image valide"
+        });
+      }
+
+      const previousUser = await getUserById(req.session.user.id);
+      const user = previousUser && await updateUserProfile(previousUser.id, { avatar: getUploadPath(filename) });
+      if (!user) {
+        await deleteAvatarFile(getUploadPath(filename));
+        return res.status(404).json({
+          success: false,
+          message: "Utilisateur non trouvé"
+        });
+      }
+
+      // Le nouvel avatar est enregistré: il ne doit plus être supprimé en cas d'erreur
+      filename = null;
+      await deleteAvatarFile(previousUser.avatar);
+      await propagateProfileUpdate(req, user);
+
+      console.log(`Avatar mis à jour pour l'utilisateur ${user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: "Avatar mis à jour",
+        user: req.session.user
+      });
+    } catch (error) {
+      console.error("Erreur lors de la mise à jour de l'avatar:", error);
+      if (filename) {
+        await deleteAvatarFile(getUploadPath(filename));
+      }
+      res.status(500).json({
+        success: false,
+        message: "Erreur serveur lors de la mise à jour de l'avatar"
+      });
+    }
+  });
+});
+
 export default router;
\ No newline at end of file
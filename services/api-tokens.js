@@ -0,0 +1,139 @@
+/**
+ * Service des jetons d'accès personnels
+ * Création, vérification et révocation des jetons utilisés par les scripts et intégrations
+ */
+
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { mongoConfig } from '../config/db.js';
+import { getCollection } from './mongo.js';
+
+// Préfixe des jetons, permet de les reconnaître (ex: dans un dépôt de code)
+const TOKEN_PREFIX = 'cn_';
+
+/**
+ * Portées disponibles pour les jetons
+ */
+export const API_SCOPES = ['posts:read', 'posts:write', 'users:read'];
+
+/**
+ * Calcule l'empreinte d'un jeton (seule l'empreinte est stockée en base)
+ * @param {string} token - Jeton en clair
+ * @returns {string} Empreinte SHA-256 en hexadécimal
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Récupère la collection des jetons d'accès
+ * @returns {Promise<Collection>} Collection MongoDB
+ */
+const getTokensCollection = async () => {
+  const collection = await getCollection(mongoConfig.apiTokensCollection);
+  if (!collection) {
+    throw new Error("Erreur de connexion à la base de données MongoDB");
+  }
+  return collection;
+};
+
+/**
+ * Met en forme un jeton pour le client (sans l'empreinte)
+ * @param {Object} tokenDoc - Document MongoDB du jeton
+ * @returns {Object} Jeton public
+ */
+const formatToken = (tokenDoc) => {
+  return {
+    id: tokenDoc._id,
+    name: tokenDoc.name,
+    prefix: tokenDoc.prefix,
+    scopes: tokenDoc.scopes,
+    createdAt: tokenDoc.createdAt,
+    expiresAt: tokenDoc.expiresAt,
+    lastUsedAt: tokenDoc.lastUsedAt
+  };
+};
+
+/**
+ * Crée un jeton d'accès pour un utilisateur
+ * @param {number} userId - ID de l'utilisateur
+ * @param {Object} options - Caractéristiques du jeton
+ * @param {string} options.name - Nom donné par l'utilisateur
+ * @param {Array<string>} options.scopes - Portées accordées (voir API_SCOPES)
+ * @param {Date|null} options.expiresAt - Date d'expiration (null = sans expiration)
+ * @returns {Promise<{token: string, apiToken: Object}>} Jeton en clair (affiché une seule fois) et ses informations
+ */
+export const createApiToken = async (userId, { name, scopes, expiresAt }) => {
+  const tokensCollection = await getTokensCollection();
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const tokenDoc = {
+    userId,
+    name,
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    tokenHash: hashToken(token),
+    scopes,
+    createdAt: new Date(),
+    expiresAt,
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  const result = await tokensCollection.insertOne(tokenDoc);
+  return { token, apiToken: formatToken({ ...tokenDoc, _id: result.insertedId }) };
+};
+
+/**
+ * Liste les jetons actifs d'un utilisateur
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<Array>} Jetons non révoqués, du plus récent au plus ancien
+ */
+export const listApiTokens = async (userId) => {
+  const tokensCollection = await getTokensCollection();
+  const tokens = await tokensCollection.find({ userId, revokedAt: null })
+    .sort({ createdAt: -1 })
+    .toArray();
+  return tokens.map(formatToken);
+};
+
+/**
+ * Révoque un jeton d'un utilisateur
+ * @param {number} userId - ID de l'utilisateur propriétaire
+ * @param {string} tokenId - ID du jeton
+ * @returns {Promise<boolean>} Vrai si un jeton a été révoqué
+ */
+export const revokeApiToken = async (userId, tokenId) => {
+  if (!ObjectId.isValid(tokenId)) {
+    return false;
+  }
+  const tokensCollection = await getTokensCollection();
+  const result = await tokensCollection.updateOne(
+    { _id: new ObjectId(tokenId), userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Vérifie un jeton présenté dans l'en-tête Authorization
+ * @param {string} token - Jeton en clair
+ * @returns {Promise<Object|null>} Document du jeton s'il est valide, sinon null
+ */
+export const verifyApiToken = async (token) => {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const tokensCollection = await getTokensCollection();
+  const now = new Date();
+
+  return tokensCollection.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    },
+    { $set: { lastUsedAt: now } },
+    { returnDocument: 'after', includeResultMetadata: false }
+  );
+};
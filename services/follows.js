@@ -0,0 +1,109 @@
+/**
+ * Service des abonnements
+ * Suivi des utilisateurs, listes d'abonnés et d'abonnements
+ */
+
+import { mongoConfig } from '../config/db.js';
+import { getCollection } from './mongo.js';
+
+/**
+ * Récupère la collection des abonnements
+ * @returns {Promise<Collection>} Collection MongoDB
+ */
+const getFollowsCollection = async () => {
+  const collection = await getCollection(mongoConfig.followsCollection);
+  if (!collection) {
+    throw new Error("Erreur de connexion à la base de données MongoDB");
+  }
+  return collection;
+};
+
+/**
+ * Abonne un utilisateur à un autre
+ * @param {number} followerId - ID de l'utilisateur qui s'abonne
+ * @param {number} followingId - ID de l'utilisateur suivi
+ * @returns {Promise<boolean>} Vrai si l'abonnement a été créé, faux s'il existait déjà
+ */
+export const followUser = async (followerId, followingId) => {
+  const followsCollection = await getFollowsCollection();
+  const result = await followsCollection.updateOne(
+    { followerId, followingId },
+    { $setOnInsert: { followerId, followingId, createdAt: new Date() } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+};
+
+/**
+ * Désabonne un utilisateur d'un autre
+ * @param {number} followerId - ID de l'utilisateur qui se désabonne
+ * @param {number} followingId - ID de l'utilisateur suivi
+ * @returns {Promise<boolean>} Vrai si un abonnement a été supprimé
+ */
+export const unfollowUser = async (followerId, followingId) => {
+  const followsCollection = await getFollowsCollection();
+  const result = await followsCollection.deleteOne({ followerId, followingId });
+  return result.deletedCount > 0;
+};
+
+/**
+ * Récupère les identifiants des utilisateurs suivis
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<Array<number>>} IDs des utilisateurs suivis
+ */
+export const getFollowingIds = async (userId) => {
+  const followsCollection = await getFollowsCollection();
+  const follows = await followsCollection.find(
+    { followerId: userId },
+    { projection: { followingId: 1 } }
+  ).toArray();
+  return follows.map(follow => follow.followingId);
+};
+
+/**
+ * Compte les abonnés et abonnements d'un utilisateur
+ * @param {number} userId - ID de l'utilisateur
+ * @param {number} [viewerId] - Utilisateur consultant le profil (pour savoir s'il le suit)
+ * @returns {Promise<{followers: number, following: number, isFollowing: boolean}>} Compteurs
+ */
+export const getFollowStats = async (userId, viewerId) => {
+  const followsCollection = await getFollowsCollection();
+  const [followers, following, isFollowing] = await Promise.all([
+    followsCollection.countDocuments({ followingId: userId }),
+    followsCollection.countDocuments({ followerId: userId }),
+    viewerId && viewerId !== userId
+      ? followsCollection.countDocuments({ followerId: viewerId, followingId: userId }, { limit: 1 })
+      : 0
+  ]);
+  return { followers, following, isFollowing: isFollowing > 0 };
+};
+
+/**
+ * Liste paginée des abonnés ou des abonnements d'un utilisateur, du plus récent au plus ancien
+ * @param {number} userId - ID de l'utilisateur
+ * @param {'followers'|'following'} direction - Abonnés de l'utilisateur ou utilisateurs qu'il suit
+ * @param {Object} pagination - Pagination
+ * @param {number} pagination.skip - Nombre d'entrées à sauter
+ * @param {number} pagination.limit - Nombre d'entrées retournées
+ * @returns {Promise<{follows: Array<{userId: number, since: Date}>, total: number}>} Page et total
+ */
+export const listFollows = async (userId, direction, { skip, limit }) => {
+  const followsCollection = await getFollowsCollection();
+  const [filterField, userField] = direction === 'followers'
+    ? ['followingId', 'followerId']
+    : ['followerId', 'followingId'];
+
+  const [follows, total] = await Promise.all([
+    followsCollection.find({ [filterField]: userId })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray(),
+    followsCollection.countDocuments({ [filterField]: userId })
+  ]);
+
+  return {
+    follows: follows.map(follow => ({ userId: follow[userField], since: follow.createdAt })),
+    total
+  };
+};
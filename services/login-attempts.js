@@ -0,0 +1,230 @@
+/**
+ * Service de limitation des tentatives de connexion
+ * Compteurs d'échecs par adresse IP et par compte, avec blocage temporaire exponentiel
+ * (également utilisés pour limiter les demandes de réinitialisation de mot de passe)
+ */
+
+import { authConfig } from '../config/auth.js';
+import { mongoConfig } from '../config/db.js';
+import { getCollection } from './mongo.js';
+
+const config = authConfig.loginAttempts;
+
+/**
+ * Calcule la fin du blocage après un nouvel échec
+ * @param {number} failures - Nombre d'échecs dans la fenêtre courante
+ * @param {number} maxFailures - Nombre d'échecs tolérés avant blocage
+ * @param {number} now - Horodatage courant (ms)
+ * @returns {Date|null} Date de fin du blocage ou null si pas de blocage
+ */
+const computeLockedUntil = (failures, maxFailures, now) => {
+  if (failures < maxFailures) {
+    return null;
+  }
+  const duration = Math.min(config.baseLockout * 2 ** (failures - maxFailures), config.maxLockout);
+  return new Date(now + duration);
+};
+
+/**
+ * Crée un stockage des compteurs en mémoire (développement, instance unique)
+ * @returns {Object} Stockage { get, recordFailure, reset }
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    get: async (key) => entries.get(key) || null,
+
+    recordFailure: async (key, maxFailures) => {
+      const now = Date.now();
+      const entry = entries.get(key);
+      const failures = entry && entry.lastFailure > now - config.window ? entry.failures + 1 : 1;
+      const record = {
+        failures,
+        lastFailure: now,
+        lockedUntil: computeLockedUntil(failures, maxFailures, now)
+      };
+      entries.set(key, record);
+
+      // Purge des compteurs expirés pour borner la mémoire utilisée
+      entries.forEach((value, entryKey) => {
+        const lockedUntil = value.lockedUntil ? value.lockedUntil.getTime() : 0;
+        if (value.lastFailure <= now - config.window && lockedUntil <= now) {
+          entries.delete(entryKey);
+        }
+      });
+
+      return record;
+    },
+
+    reset: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+/**
+ * Crée un stockage des compteurs dans MongoDB (production, partagé entre instances)
+ * Les documents expirent automatiquement grâce à l'index TTL sur expiresAt
+ * @returns {Object} Stockage { get, recordFailure, reset }
+ */
+const createMongoStore = () => {
+  const getAttemptsCollection = async () => {
+    const collection = await getCollection(mongoConfig.loginAttemptsCollection);
+    if (!collection) {
+      throw new Error("Erreur de connexion à la base de données MongoDB");
+    }
+    return collection;
+  };
+
+  return {
+    get: async (key) => {
+      const attemptsCollection = await getAttemptsCollection();
+      return attemptsCollection.findOne({ _id: key });
+    },
+
+    recordFailure: async (key, maxFailures) => {
+      const attemptsCollection = await getAttemptsCollection();
+      const now = Date.now();
+
+      // Incrément atomique, remis à 1 si le dernier échec est sorti de la fenêtre
+      const entry = await attemptsCollection.findOneAndUpdate(
+        { _id: key },
+        [
+          {
+            $set: {
+              failures: {
+                $cond: [
+                  { $gt: ['$lastFailure', now - config.window] },
+                  { $add: ['$failures', 1] },
+                  1
+                ]
+              },
+              lastFailure: now
+            }
+          }
+        ],
+        { upsert: true, returnDocument: 'after', includeResultMetadata: false }
+      );
+
+      const lockedUntil = computeLockedUntil(entry.failures, maxFailures, now);
+      const expiresAt = new Date(Math.max(now + config.window, lockedUntil ? lockedUntil.getTime() : 0));
+      await attemptsCollection.updateOne({ _id: key }, { $set: { lockedUntil, expiresAt } });
+
+      return { ...entry, lockedUntil };
+    },
+
+    reset: async (key) => {
+      const attemptsCollection = await getAttemptsCollection();
+      await attemptsCollection.deleteOne({ _id: key });
+    }
+  };
+};
+
+const store = config.store === 'mongo' ? createMongoStore() : createMemoryStore();
+
+/**
+ * Construit les clés de comptage d'une tentative
+ * @param {string} ip - Adresse IP du client
+ * @param {string} email - Email saisi
+ * @returns {Array<{key: string, maxFailures: number}>} Clés et seuils associés
+ */
+const getKeys = (ip, email) => {
+  return [
+    { key: `ip:${ip}`, maxFailures: config.maxIpFailures },
+    { key: `account:${String(email).trim().toLowerCase()}`, maxFailures: config.maxAccountFailures }
+  ];
+};
+
+/**
+ * Construit les clés de comptage d'une demande de réinitialisation de mot de passe
+ * @param {string} ip - Adresse IP du client
+ * @param {string} email - Email saisi
+ * @returns {Array<{key: string, maxFailures: number}>} Clés et seuils associés
+ */
+const getResetKeys = (ip, email) => {
+  return [
+    { key: `reset-ip:${ip}`, maxFailures: config.maxIpResetRequests },
+    { key: `reset-account:${String(email).trim().toLowerCase()}`, maxFailures: config.maxAccountResetRequests }
+  ];
+};
+
+/**
+ * Calcule le délai d'attente le plus long parmi des compteurs
+ * @param {Array<{key: string}>} keys - Clés des compteurs
+ * @returns {Promise<number>} Délai d'attente en secondes (0 si aucun compteur n'est bloqué)
+ */
+const getRetryAfter = async (keys) => {
+  const now = Date.now();
+  let retryAfter = 0;
+
+  for (const { key } of keys) {
+    const entry = await store.get(key);
+    if (entry && entry.lockedUntil && entry.lockedUntil.getTime() > now) {
+      retryAfter = Math.max(retryAfter, Math.ceil((entry.lockedUntil.getTime() - now) / 1000));
+    }
+  }
+
+  return retryAfter;
+};
+
+/**
+ * Incrémente des compteurs
+ * @param {Array<{key: string, maxFailures: number}>} keys - Clés et seuils associés
+ */
+const recordFailures = async (keys) => {
+  for (const { key, maxFailures } of keys) {
+    const entry = await store.recordFailure(key, maxFailures);
+    if (entry.lockedUntil) {
+      console.log(`Accès bloqué pour ${key} jusqu'à ${entry.lockedUntil.toISOString()} (${entry.failures} tentatives)`);
+    }
+  }
+};
+
+/**
+ * Vérifie si une tentative de connexion est autorisée
+ * @param {string} ip - Adresse IP du client
+ * @param {string} email - Email saisi
+ * @returns {Promise<number>} Délai d'attente en secondes (0 si la tentative est autorisée)
+ */
+export const getLoginRetryAfter = async (ip, email) => {
+  return getRetryAfter(getKeys(ip, email));
+};
+
+/**
+ * Enregistre un échec de connexion pour l'adresse IP et le compte
+ * @param {string} ip - Adresse IP du client
+ * @param {string} email - Email saisi
+ */
+export const recordLoginFailure = async (ip, email) => {
+  await recordFailures(getKeys(ip, email));
+};
+
+/**
+ * Remet à zéro le compteur du compte après une connexion réussie
+ * (le compteur de l'adresse IP est conservé, un compte valide ne doit pas servir à le réinitialiser)
+ * @param {string} email - Email du compte
+ */
+export const resetLoginFailures = async (email) => {
+  await store.reset(`account:${String(email).trim().toLowerCase()}`);
+};
+
+/**
+ * Vérifie si une demande de réinitialisation de mot de passe est autorisée
+ * @param {string} ip - Adresse IP du client
+ * @param {string} email - Email saisi
+ * @returns {Promise<number>} Délai d'attente en secondes (0 si la demande est autorisée)
+ */
+export const getPasswordResetRetryAfter = async (ip, email) => {
+  return getRetryAfter(getResetKeys(ip, email));
+};
+
+/**
+ * Enregistre une demande de réinitialisation de mot de passe pour l'adresse IP et l'email
+ * (comptée que le compte existe ou non, pour ne pas révéler son existence)
+ * @param {string} ip - Adresse IP du client
+ * @param {string} email - Email saisi
+ */
+export const recordPasswordResetRequest = async (ip, email) => {
+  await recordFailures(getResetKeys(ip, email));
+};
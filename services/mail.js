@@ -0,0 +1,80 @@
+/**
+ * Service d'envoi des emails
+ * Transports interchangeables : console et fichier pour le développement, SMTP pour la production
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { mailConfig } from '../config/mail.js';
+
+/**
+ * Formate un email au format texte (en-têtes + corps)
+ * @param {Object} message - Email à formater
+ * @returns {string} Email formaté
+ */
+const formatMessage = ({ from, to, subject, text }) => {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text
+  ].join('\r\n');
+};
+
+// Transport SMTP créé à la première utilisation
+let smtpTransporter = null;
+
+/**
+ * Transports disponibles, chacun reçoit l'email complet ({ from, to, subject, text })
+ */
+const transports = {
+  // Affiche l'email dans les logs du serveur
+  console: async (message) => {
+    console.log(`Email (transport console):\n${formatMessage(message)}`);
+  },
+
+  // Écrit l'email dans un fichier .eml du répertoire configuré
+  file: async (message) => {
+    await fs.promises.mkdir(mailConfig.fileDirectory, { recursive: true });
+    const filename = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.eml`;
+    await fs.promises.writeFile(path.join(mailConfig.fileDirectory, filename), formatMessage(message));
+    console.log(`Email écrit dans ${path.join(mailConfig.fileDirectory, filename)}`);
+  },
+
+  // Envoi réel via un serveur SMTP
+  smtp: async (message) => {
+    if (!smtpTransporter) {
+      const { default: nodemailer } = await import('nodemailer');
+      smtpTransporter = nodemailer.createTransport(mailConfig.smtp);
+    }
+    await smtpTransporter.sendMail(message);
+  }
+};
+
+/**
+ * Enregistre un transport supplémentaire (ex: API d'un fournisseur d'emails)
+ * @param {string} name - Nom du transport, à utiliser dans MAIL_TRANSPORT
+ * @param {Function} send - Fonction asynchrone recevant { from, to, subject, text }
+ */
+export const registerMailTransport = (name, send) => {
+  transports[name] = send;
+};
+
+/**
+ * Envoie un email avec le transport configuré
+ * @param {Object} message - Email à envoyer
+ * @param {string} message.to - Destinataire
+ * @param {string} message.subject - Sujet
+ * @param {string} message.text - Corps du message en texte brut
+ * @returns {Promise<void>}
+ */
+export const sendMail = async ({ to, subject, text }) => {
+  const send = transports[mailConfig.transport];
+  if (!send) {
+    throw new Error(`Transport d'email inconnu: ${mailConfig.transport}`);
+  }
+  await send({ from: mailConfig.from, to, subject, text });
+};
@@ -0,0 +1,275 @@
+/**
+ * Service de messagerie privée
+ * Conversations à deux ou en petit groupe, historique des messages et messages non lus
+ */
+
+import { ObjectId } from 'mongodb';
+import { mongoConfig } from '../config/db.js';
+import { getCollection } from './mongo.js';
+
+// Nombre maximal de participants d'une conversation de groupe (créateur compris)
+export const MAX_PARTICIPANTS = 10;
+
+// Longueur maximale d'un message
+export const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Récupère une collection de la messagerie
+ * @param {string} name - Nom de la collection (voir mongoConfig)
+ * @returns {Promise<Collection>} Collection MongoDB
+ */
+const getMessagingCollection = async (name) => {
+  const collection = await getCollection(name);
+  if (!collection) {
+    throw new Error("Erreur de connexion à la base de données MongoDB");
+  }
+  return collection;
+};
+
+/**
+ * Convertit un identifiant reçu du client en ObjectId
+ * @param {string} id - Identifiant de conversation ou de message
+ * @returns {ObjectId|null} ObjectId ou null si le format est invalide
+ */
+export const parseMessagingId = (id) => {
+  return typeof id === 'string' && ObjectId.isValid(id) && id.length === 24 ? new ObjectId(id) : null;
+};
+
+/**
+ * Clé unique d'une conversation directe entre deux utilisateurs
+ * @param {number} userA - ID du premier utilisateur
+ * @param {number} userB - ID du second utilisateur
+ * @returns {string} Clé indépendante de l'ordre des utilisateurs
+ */
+const getDirectKey = (userA, userB) => {
+  return [userA, userB].sort((a, b) => a - b).join(':');
+};
+
+/**
+ * Retrouve ou crée la conversation entre un utilisateur et ses destinataires
+ * Une conversation à deux est unique pour un couple d'utilisateurs, une conversation de groupe est toujours nouvelle
+ * @param {number} userId - ID de l'utilisateur qui écrit
+ * @param {Array<number>} recipientIds - IDs des destinataires
+ * @param {string} [name] - Nom d'une conversation de groupe
+ * @returns {Promise<Object>} Document de la conversation
+ */
+export const findOrCreateConversation = async (userId, recipientIds, name) => {
+  const conversationsCollection = await getMessagingCollection(mongoConfig.conversationsCollection);
+  const participants = [...new Set([userId, ...recipientIds])];
+  const now = new Date();
+
+  if (participants.length === 2) {
+    return conversationsCollection.findOneAndUpdate(
+      { directKey: getDirectKey(participants[0], participants[1]) },
+      {
+        $setOnInsert: {
+          participants,
+          name: null,
+          createdBy: userId,
+          createdAt: now,
+          updatedAt: now,
+          lastMessage: null,
+          readAt: {}
+        }
+      },
+      { upsert: true, returnDocument: 'after', includeResultMetadata: false }
+    );
+  }
+
+  const conversation = {
+    participants,
+    name: name || null,
+    createdBy: userId,
+    createdAt: now,
+    updatedAt: now,
+    lastMessage: null,
+    readAt: {}
+  };
+  const result = await conversationsCollection.insertOne(conversation);
+  return { ...conversation, _id: result.insertedId };
+};
+
+/**
+ * Récupère une conversation si l'utilisateur y participe
+ * @param {string} conversationId - Identifiant de la conversation
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<Object|null>} Document de la conversation ou null
+ */
+export const getConversationForUser = async (conversationId, userId) => {
+  const id = parseMessagingId(conversationId);
+  if (!id) {
+    return null;
+  }
+
+  const conversationsCollection = await getMessagingCollection(mongoConfig.conversationsCollection);
+  return conversationsCollection.findOne({ _id: id, participants: userId });
+};
+
+/**
+ * Enregistre un message et met à jour la conversation (dernier message, lecture par l'expéditeur)
+ * @param {Object} conversation - Document de la conversation
+ * @param {number} senderId - ID de l'expéditeur
+ * @param {string} text - Contenu du message
+ * @returns {Promise<Object>} Document du message
+ */
+export const addMessage = async (conversation, senderId, text) => {
+  const messagesCollection = await getMessagingCollection(mongoConfig.messagesCollection);
+  const conversationsCollection = await getMessagingCollection(mongoConfig.conversationsCollection);
+
+  const message = {
+    conversationId: conversation._id,
+    senderId,
+    text,
+    createdAt: new Date()
+  };
+  const result = await messagesCollection.insertOne(message);
+  message._id = result.insertedId;
+
+  await conversationsCollection.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        updatedAt: message.createdAt,
+        lastMessage: { id: message._id, senderId, text, createdAt: message.createdAt },
+        [`readAt.${senderId}`]: message.createdAt
+      }
+    }
+  );
+
+  return message;
+};
+
+/**
+ * Marque une conversation comme lue par un utilisateur
+ * @param {ObjectId} conversationId - Identifiant de la conversation
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<Date>} Date de lecture
+ */
+export const markConversationRead = async (conversationId, userId) => {
+  const conversationsCollection = await getMessagingCollection(mongoConfig.conversationsCollection);
+  const readAt = new Date();
+  await conversationsCollection.updateOne(
+    { _id: conversationId, participants: userId },
+    { $set: { [`readAt.${userId}`]: readAt } }
+  );
+  return readAt;
+};
+
+/**
+ * Compte les messages non lus d'une conversation pour un utilisateur
+ * @param {Object} conversation - Document de la conversation
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<number>} Nombre de messages reçus depuis sa dernière lecture
+ */
+export const countUnreadMessages = async (conversation, userId) => {
+  const messagesCollection = await getMessagingCollection(mongoConfig.messagesCollection);
+  const lastRead = (conversation.readAt || {})[userId];
+
+  const filter = { conversationId: conversation._id, senderId: { $ne: userId } };
+  if (lastRead) {
+    filter.createdAt = { $gt: lastRead };
+  }
+  return messagesCollection.countDocuments(filter);
+};
+
+/**
+ * Liste les conversations d'un utilisateur, de la plus récemment active à la plus ancienne
+ * @param {number} userId - ID de l'utilisateur
+ * @param {Object} pagination - Pagination
+ * @param {number} pagination.skip - Nombre de conversations à sauter
+ * @param {number} pagination.limit - Nombre de conversations retournées
+ * @returns {Promise<{conversations: Array, total: number}>} Conversations (avec unreadCount) et total
+ */
+export const listConversations = async (userId, { skip, limit }) => {
+  const conversationsCollection = await getMessagingCollection(mongoConfig.conversationsCollection);
+  // Une conversation directe n'apparaît qu'à partir de son premier message
+  const filter = { participants: userId, $or: [{ directKey: { $exists: false } }, { lastMessage: { $ne: null } }] };
+
+  const [conversations, total] = await Promise.all([
+    conversationsCollection.find(filter)
+      .sort({ updatedAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray(),
+    conversationsCollection.countDocuments(filter)
+  ]);
+
+  const unreadCounts = await Promise.all(conversations.map(conversation => countUnreadMessages(conversation, userId)));
+  return {
+    conversations: conversations.map((conversation, index) => ({ ...conversation, unreadCount: unreadCounts[index] })),
+    total
+  };
+};
+
+/**
+ * Récupère une page de l'historique d'une conversation
+ * @param {ObjectId} conversationId - Identifiant de la conversation
+ * @param {Object} options - Pagination
+ * @param {ObjectId|null} options.before - Ne renvoyer que les messages antérieurs à ce message
+ * @param {number} options.limit - Nombre de messages retournés
+ * @returns {Promise<{messages: Array, nextBefore: ObjectId|null}>} Messages dans l'ordre chronologique
+ * et curseur de la page précédente (null s'il n'y a plus de messages)
+ */
+export const listMessages = async (conversationId, { before, limit }) => {
+  const messagesCollection = await getMessagingCollection(mongoConfig.messagesCollection);
+
+  const filter = { conversationId };
+  if (before) {
+    filter._id = { $lt: before };
+  }
+
+  // Un message de plus est demandé pour savoir s'il reste une page
+  const messages = await messagesCollection.find(filter)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = messages.length > limit;
+  if (hasMore) {
+    messages.pop();
+  }
+
+  return {
+    messages: messages.reverse(),
+    nextBefore: hasMore ? messages[0]._id : null
+  };
+};
+
+/**
+ * Transforme une conversation au format attendu par le frontend
+ * @param {Object} conversation - Document de la conversation
+ * @param {Map} usersMap - Map des utilisateurs (voir getUsersMap)
+ * @returns {Object} Conversation avec les noms et avatars des participants
+ */
+export const formatConversation = (conversation, usersMap) => {
+  return {
+    id: conversation._id,
+    name: conversation.name || null,
+    isGroup: !conversation.directKey,
+    participants: conversation.participants.map(participantId => {
+      const participant = usersMap.get(participantId) || { name: "Utilisateur inconnu" };
+      return { id: participantId, name: participant.name, avatar: participant.avatar || "" };
+    }),
+    lastMessage: conversation.lastMessage || null,
+    updatedAt: conversation.updatedAt,
+    unreadCount: conversation.unreadCount || 0
+  };
+};
+
+/**
+ * Transforme un message au format attendu par le frontend
+ * @param {Object} message - Document du message
+ * @param {Object} sender - Expéditeur ({ name, avatar })
+ * @returns {Object} Message avec le nom et l'avatar de l'expéditeur
+ */
+export const formatMessage = (message, sender) => {
+  return {
+    id: message._id,
+    conversationId: message.conversationId,
+    senderId: message.senderId,
+    senderName: sender ? sender.name : "Utilisateur inconnu",
+    senderAvatar: sender ? sender.avatar || "" : "",
+    text: message.text,
+    createdAt: message.createdAt
+  };
+};
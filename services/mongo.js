@@ -3,7 +3,7 @@
  * Gestion de la connexion et de l'accès à la collection CERISoNet
  */
 
-import { MongoClient } from 'mongodb';
+import { MongoClient, ObjectId } from 'mongodb';
 import { mongoConfig } from '../config/db.js';
 
 // Variables globales pour stocker la connexion MongoDB
@@ -24,6 +24,7 @@ export const connectToMongoDB = async () => {
     const db = mongoClient.db();
     cerisonetCollection = db.collection(mongoConfig.collection);
     dbConnected = true;
+    await ensureIndexes();
       
     // Récupérer et afficher quelques documents pour vérification
     const documents = await cerisonetCollection.find({}).limit(5).toArray();
@@ -37,6 +38,124 @@ export const connectToMongoDB = async () => {
   }
 };
 
+/**
+ * Crée les index nécessaires sur les collections de l'application
+ * Un échec n'empêche pas le démarrage (la fonctionnalité concernée sera alors dégradée)
+ */
+const ensureIndexes = async () => {
+  const db = mongoClient.db();
+  const indexes = [
+    // Index plein texte sur le contenu des posts et des commentaires
+    {
+      collection: mongoConfig.collection,
+      keys: { body: 'text', 'comments.text': 'text' },
+      options: {
+        name: 'posts_text_search',
+        default_language: 'french',
+        weights: { body: 3, 'comments.text': 1 }
+      }
+    },
+    // Posts et commentaires d'un utilisateur (statistiques du profil)
+    {
+      collection: mongoConfig.collection,
+      keys: { createdBy: 1 },
+      options: {}
+    },
+    {
+      collection: mongoConfig.collection,
+      keys: { 'comments.commentedBy': 1 },
+      options: {}
+    },
+    // Expiration automatique des jetons de réinitialisation de mot de passe
+    {
+      collection: mongoConfig.passwordResetCollection,
+      keys: { expiresAt: 1 },
+      options: { expireAfterSeconds: 0 }
+    },
+    {
+      collection: mongoConfig.passwordResetCollection,
+      keys: { tokenHash: 1 },
+      options: { unique: true }
+    },
+    // Expiration automatique des compteurs de tentatives de connexion
+    {
+      collection: mongoConfig.loginAttemptsCollection,
+      keys: { expiresAt: 1 },
+      options: { expireAfterSeconds: 0 }
+    },
+    // Recherche des jetons d'accès personnels par empreinte
+    {
+      collection: mongoConfig.apiTokensCollection,
+      keys: { tokenHash: 1 },
+      options: { unique: true }
+    },
+    {
+      collection: mongoConfig.apiTokensCollection,
+      keys: { userId: 1 },
+      options: {}
+    },
+    // Une configuration de double authentification par utilisateur
+    {
+      collection: mongoConfig.twoFactorCollection,
+      keys: { userId: 1 },
+      options: { unique: true }
+    },
+    // Abonnements entre utilisateurs (un seul par couple, liste des abonnés)
+    {
+      collection: mongoConfig.followsCollection,
+      keys: { followerId: 1, followingId: 1 },
+      options: { unique: true }
+    },
+    {
+      collection: mongoConfig.followsCollection,
+      keys: { followingId: 1, createdAt: -1 },
+      options: {}
+    },
+    // Utilisateurs masqués ou bloqués (par utilisateur, et à l'inverse pour filtrer les diffusions)
+    {
+      collection: mongoConfig.restrictionsCollection,
+      keys: { userId: 1, targetId: 1, type: 1 },
+      options: { unique: true }
+    },
+    {
+      collection: mongoConfig.restrictionsCollection,
+      keys: { targetId: 1 },
+      options: {}
+    },
+    // Messagerie privée: conversations d'un participant, une seule conversation directe par couple
+    {
+      collection: mongoConfig.conversationsCollection,
+      keys: { participants: 1, updatedAt: -1 },
+      options: {}
+    },
+    {
+      collection: mongoConfig.conversationsCollection,
+      keys: { directKey: 1 },
+      options: { unique: true, partialFilterExpression: { directKey: { $type: 'string' } } }
+    },
+    // Historique paginé des messages d'une conversation
+    {
+      collection: mongoConfig.messagesCollection,
+      keys: { conversationId: 1, _id: -1 },
+      options: {}
+    },
+    // Auteur de chaque fichier téléversé
+    {
+      collection: mongoConfig.uploadsCollection,
+      keys: { filename: 1 },
+      options: { unique: true }
+    }
+  ];
+
+  for (const { collection, keys, options } of indexes) {
+    try {
+      await db.collection(collection).createIndex(keys, options);
+    } catch (err) {
+      console.error(`Erreur lors de la création d'un index sur ${collection}:`, err);
+    }
+  }
+};
+
 /**
  * Récupère la collection MongoDB pour CERISoNet
  * Si la connexion n'est pas établie, tente de se reconnecter
@@ -54,6 +173,22 @@ export const getCerisonetCollection = async () => {
   return cerisonetCollection;
 };
 
+/**
+ * Récupère une collection MongoDB de la base de l'application
+ * Si la connexion n'est pas établie, tente de se reconnecter
+ * @param {string} name - Nom de la collection (voir mongoConfig)
+ * @returns {Promise<Collection|null>} La collection MongoDB ou null en cas d'erreur
+ */
+export const getCollection = async (name) => {
+  if (!dbConnected || !mongoClient) {
+    const connected = await connectToMongoDB();
+    if (!connected) {
+      return null;
+    }
+  }
+  return mongoClient.db().collection(name);
+};
+
 /**
  * Vérifie si la connexion à MongoDB est établie
  * @returns {boolean} État de la connexion
@@ -71,4 +206,20 @@ export const closeMongoConnection = async () => {
     console.log('Connexion MongoDB fermée');
     dbConnected = false;
   }
+};
+
+/**
+ * Convertit un identifiant de post reçu du client vers le type stocké en base
+ * Les posts d'origine ont des identifiants numériques, les posts créés via l'API des ObjectId
+ * @param {string|number} id - Identifiant reçu (paramètre de route ou donnée socket)
+ * @returns {ObjectId|number|string} Identifiant utilisable dans une requête MongoDB
+ */
+export const parsePostId = (id) => {
+  if (typeof id === 'string' && ObjectId.isValid(id) && id.length === 24) {
+    return new ObjectId(id);
+  }
+  if (/^\d+$/.test(String(id))) {
+    return parseInt(id);
+  }
+  return id;
 };
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * Service de réinitialisation des mots de passe
+ * Création et consommation des jetons à usage unique
+ */
+
+import crypto from 'crypto';
+import { authConfig } from '../config/auth.js';
+import { mongoConfig } from '../config/db.js';
+import { getCollection } from './mongo.js';
+
+/**
+ * Calcule l'empreinte d'un jeton (seule l'empreinte est stockée en base)
+ * @param {string} token - Jeton en clair
+ * @returns {string} Empreinte SHA-256 en hexadécimal
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Récupère la collection des jetons de réinitialisation
+ * @returns {Promise<Collection>} Collection MongoDB
+ */
+const getTokensCollection = async () => {
+  const collection = await getCollection(mongoConfig.passwordResetCollection);
+  if (!collection) {
+    throw new Error("Erreur de connexion à la base de données MongoDB");
+  }
+  return collection;
+};
+
+/**
+ * Crée un jeton de réinitialisation pour un utilisateur
+ * Les jetons encore valides de cet utilisateur sont invalidés
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<{token: string, expiresAt: Date}>} Jeton en clair et date d'expiration
+ */
+export const createPasswordResetToken = async (userId) => {
+  const tokensCollection = await getTokensCollection();
+
+  await tokensCollection.deleteMany({ userId, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + authConfig.passwordResetTokenTTL);
+
+  await tokensCollection.insertOne({
+    tokenHash: hashToken(token),
+    userId,
+    createdAt: new Date(),
+    expiresAt,
+    usedAt: null
+  });
+
+  return { token, expiresAt };
+};
+
+/**
+ * Consomme un jeton de réinitialisation (marquage atomique, il ne peut servir qu'une fois)
+ * @param {string} token - Jeton en clair reçu du client
+ * @returns {Promise<number|null>} ID de l'utilisateur, ou null si le jeton est invalide, expiré ou déjà utilisé
+ */
+export const consumePasswordResetToken = async (token) => {
+  const tokensCollection = await getTokensCollection();
+  const now = new Date();
+
+  const tokenDoc = await tokensCollection.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { includeResultMetadata: false }
+  );
+
+  return tokenDoc ? tokenDoc.userId : null;
+};
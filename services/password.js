@@ -0,0 +1,110 @@
+/**
+ * Service de hachage des mots de passe
+ * Hachage scrypt salé avec prise en charge des anciens hachages SHA1
+ *
+ * Format stocké dans fredouil.compte.motpasse :
+ * - nouveau : scrypt$N$r$p$<sel base64>$<hachage base64> (environ 130 caractères)
+ * - ancien  : 40 caractères hexadécimaux (SHA1 non salé), accepté puis converti à la connexion
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Marqueur du format scrypt et paramètres de coût
+const SCRYPT_PREFIX = 'scrypt';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// Longueur minimale d'un nouveau mot de passe
+const MIN_PASSWORD_LENGTH = 8;
+
+// Un ancien hachage SHA1 est une chaîne hexadécimale de 40 caractères
+const LEGACY_SHA1_REGEX = /^[0-9a-f]{40}$/i;
+
+/**
+ * Hache un mot de passe avec scrypt et un sel aléatoire
+ * @param {string} password - Mot de passe en clair
+ * @returns {Promise<string>} Hachage au format scrypt$N$r$p$sel$hachage
+ */
+export const hashPassword = async (password) => {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return [SCRYPT_PREFIX, N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+/**
+ * Vérifie un mot de passe par rapport au hachage stocké
+ * @param {string} password - Mot de passe en clair
+ * @param {string} storedHash - Hachage stocké en base (scrypt ou ancien SHA1)
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>} Résultat de la vérification,
+ *          needsRehash indique que le hachage doit être converti au format actuel
+ */
+export const verifyPassword = async (password, storedHash) => {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  // Ancien format SHA1 : accepté une fois puis converti par l'appelant
+  if (LEGACY_SHA1_REGEX.test(storedHash)) {
+    const sha1 = crypto.createHash('sha1').update(password).digest();
+    const valid = crypto.timingSafeEqual(sha1, Buffer.from(storedHash, 'hex'));
+    return { valid, needsRehash: valid };
+  }
+
+  const [prefix, N, r, p, salt, hash] = storedHash.split('$');
+  if (prefix !== SCRYPT_PREFIX || !salt || !hash) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  if (!expected.length) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+  const valid = crypto.timingSafeEqual(actual, expected);
+
+  // Conversion si les paramètres de coût ont été relevés depuis le hachage
+  const outdated = parseInt(N) !== SCRYPT_PARAMS.N || parseInt(r) !== SCRYPT_PARAMS.r || parseInt(p) !== SCRYPT_PARAMS.p;
+  return { valid, needsRehash: valid && outdated };
+};
+
+// Hachage de référence utilisé quand le compte n'existe pas
+let dummyHash = null;
+
+/**
+ * Effectue une vérification factice pour un compte inexistant
+ * Le temps de réponse est ainsi le même que le compte existe ou non
+ * @param {string} password - Mot de passe en clair
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>} Toujours invalide
+ */
+export const simulatePasswordCheck = async (password) => {
+  if (!dummyHash) {
+    dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+  }
+  await verifyPassword(String(password), dummyHash);
+  return { valid: false, needsRehash: false };
+};
+
+/**
+ * Vérifie la robustesse d'un nouveau mot de passe
+ * @param {string} password - Mot de passe en clair
+ * @returns {string|null} Message d'erreur, ou null si le mot de passe est acceptable
+ */
+export const checkPasswordStrength = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Le mot de passe doit contenir au moins ${MIN_PASSWORD_LENGTH} caractères`;
+  }
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/[0-9]/.test(password)) {
+    return "Le mot de passe doit contenir au moins une minuscule, une majuscule et un chiffre";
+  }
+  return null;
+};
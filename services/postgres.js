@@ -36,6 +36,50 @@ export const updateUserConnectionStatus = async (userId, status) => {
   }
 };
 
+/**
+ * Met à jour le hachage du mot de passe d'un utilisateur
+ * @param {number} userId - ID de l'utilisateur
+ * @param {string} passwordHash - Nouveau hachage (voir services/password.js)
+ * @returns {Promise<boolean>} Succès de l'opération
+ */
+export const updateUserPassword = async (userId, passwordHash) => {
+  try {
+    const pool = await getPostgresPool();
+    await pool.query(
+      'UPDATE fredouil.compte SET motpasse = $1 WHERE id = $2',
+      [passwordHash, userId]
+    );
+    return true;
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du mot de passe:', error);
+    return false;
+  }
+};
+
+/**
+ * Met à jour le profil d'un utilisateur
+ * Seuls les champs fournis sont modifiés
+ * @param {number} userId - ID de l'utilisateur
+ * @param {Object} profile - Champs à modifier
+ * @param {string} [profile.nom] - Nom de famille
+ * @param {string} [profile.prenom] - Prénom
+ * @param {string|null} [profile.avatar] - URL de l'avatar
+ * @returns {Promise<Object|null>} Compte mis à jour (id, mail, nom, prenom, avatar) ou null s'il n'existe pas
+ */
+export const updateUserProfile = async (userId, { nom, prenom, avatar }) => {
+  const pool = await getPostgresPool();
+  const result = await pool.query(
+    `UPDATE fredouil.compte
+     SET nom = COALESCE($1, nom),
+         prenom = COALESCE($2, prenom),
+         avatar = CASE WHEN $3::boolean THEN $4 ELSE avatar END
+     WHERE id = $5
+     RETURNING id, mail, nom, prenom, avatar`,
+    [nom ?? null, prenom ?? null, avatar !== undefined, avatar ?? null, userId]
+  );
+  return result.rows[0] || null;
+};
+
 /**
  * Récupère les utilisateurs connectés (statut_connexion = 1)
  * @returns {Promise<Array>} Liste des utilisateurs connectés
@@ -75,6 +119,73 @@ export const getUserById = async (userId) => {
   }
 };
 
+/**
+ * Récupère les informations d'un utilisateur par son adresse email
+ * @param {string} email - Adresse email
+ * @returns {Promise<Object|null>} Informations de l'utilisateur ou null
+ */
+export const getUserByEmail = async (email) => {
+  const pool = await getPostgresPool();
+  const result = await pool.query(
+    'SELECT id, nom, prenom, mail FROM fredouil.compte WHERE LOWER(mail) = LOWER($1)',
+    [email]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+};
+
+/**
+ * Vérifie si une adresse email est déjà utilisée (sans tenir compte de la casse)
+ * @param {string} email - Adresse email
+ * @returns {Promise<boolean>} Vrai si un compte utilise déjà cette adresse
+ */
+export const emailExists = async (email) => {
+  const pool = await getPostgresPool();
+  const result = await pool.query(
+    'SELECT 1 FROM fredouil.compte WHERE LOWER(mail) = LOWER($1)',
+    [email]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Crée un nouveau compte utilisateur
+ * @param {Object} user - Informations du compte
+ * @param {string} user.mail - Adresse email
+ * @param {string} user.passwordHash - Hachage du mot de passe (voir services/password.js)
+ * @param {string} user.nom - Nom de famille
+ * @param {string} user.prenom - Prénom
+ * @returns {Promise<Object>} Compte créé (id, mail, nom, prenom, avatar)
+ */
+export const createUser = async ({ mail, passwordHash, nom, prenom }) => {
+  const pool = await getPostgresPool();
+  const result = await pool.query(
+    `INSERT INTO fredouil.compte (mail, motpasse, nom, prenom, statut_connexion)
+     VALUES ($1, $2, $3, $4, 0)
+     RETURNING id, mail, nom, prenom, avatar`,
+    [mail, passwordHash, nom, prenom]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Récupère les rôles d'un utilisateur (table fredouil.compte_role)
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<Array<string>>} Liste des rôles (vide pour un utilisateur standard)
+ */
+export const getUserRoles = async (userId) => {
+  try {
+    const pool = await getPostgresPool();
+    const result = await pool.query(
+      'SELECT role FROM fredouil.compte_role WHERE compte_id = $1',
+      [userId]
+    );
+    return result.rows.map(row => row.role);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des rôles utilisateur:', error);
+    return [];
+  }
+};
+
 /**
  * Récupère tous les utilisateurs avec leurs informations de base
  * @returns {Promise<Array>} Liste de tous les utilisateurs
@@ -0,0 +1,446 @@
+/**
+ * Service de gestion des posts
+ * Fonctions utilitaires pour la création et la mise en forme des posts CERISoNet
+ */
+
+import { getAllUsers } from './postgres.js';
+import { BSON } from 'mongodb';
+import { parsePostId } from './mongo.js';
+
+// Profondeur maximale parcourue pour retrouver l'original d'un partage
+const MAX_SHARE_DEPTH = 10;
+
+// Expression régulière de détection des hashtags (lettres accentuées, chiffres et _)
+const HASHTAG_REGEX = /#([\p{L}\p{N}_]+)/gu;
+
+/**
+ * Extrait les hashtags d'un texte, sans doublon
+ * @param {string} text - Texte du post
+ * @returns {Array<string>} Liste des hashtags (préfixés par #)
+ */
+export const extractHashtags = (text) => {
+  if (!text) {
+    return [];
+  }
+
+  const hashtags = new Set();
+  for (const match of text.matchAll(HASHTAG_REGEX)) {
+    hashtags.add(`#${match[1].toLowerCase()}`);
+  }
+  return [...hashtags];
+};
+
+/**
+ * Retourne la date et l'heure courantes au format utilisé dans la collection
+ * @returns {{date: string, hour: string, now: Date}} Date (AAAA-MM-JJ) et heure (HH:MM:SS)
+ */
+export const getDateAndHour = () => {
+  const now = new Date();
+  return {
+    now,
+    date: now.toISOString().split('T')[0],
+    hour: now.toTimeString().split(' ')[0]
+  };
+};
+
+/**
+ * Construit la map des utilisateurs (id => nom, prénom, avatar)
+ * utilisée pour enrichir les posts et les commentaires
+ * @returns {Promise<Map>} Map des utilisateurs
+ */
+export const getUsersMap = async () => {
+  const users = await getAllUsers();
+  const usersMap = new Map();
+  users.forEach(user => {
+    usersMap.set(user.id, {
+      name: `${user.prenom} ${user.nom}`,
+      prenom: user.prenom,
+      nom: user.nom,
+      avatar: user.avatar
+    });
+  });
+  return usersMap;
+};
+
+/**
+ * Organise les commentaires d'un post en arbre de réponses
+ * Un commentaire dont le parent n'existe plus est rattaché à la racine
+ * @param {Array} comments - Commentaires du document MongoDB (liste à plat)
+ * @param {Map} usersMap - Map des utilisateurs (voir getUsersMap)
+ * @returns {Array} Commentaires de premier niveau, chacun avec ses réponses dans replies
+ */
+export const buildCommentTree = (comments, usersMap) => {
+  const nodes = comments.map(comment => {
+    const commentAuthor = usersMap.get(comment.commentedBy) || { name: "Utilisateur inconnu" };
+    return {
+      ...comment,
+      parentId: comment.parentId || null,
+      commentedByName: commentAuthor.name,
+      commentedByAvatar: commentAuthor.avatar,
+      replies: []
+    };
+  });
+
+  const nodesById = new Map();
+  nodes.forEach(node => {
+    if (node.id) {
+      nodesById.set(String(node.id), node);
+    }
+  });
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parentId ? nodesById.get(String(node.parentId)) : null;
+    if (parent && parent !== node) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+};
+
+/**
+ * Transforme un post MongoDB au format attendu par le frontend
+ * @param {Object} post - Document MongoDB du post
+ * @param {Map} usersMap - Map des utilisateurs (voir getUsersMap)
+ * @param {Array<number>} [hiddenUserIds] - Utilisateurs masqués dont les commentaires sont retirés
+ * @returns {Object} Post enrichi (nom et avatar de l'auteur, noms des commentateurs)
+ */
+export const formatPost = (post, usersMap, hiddenUserIds = []) => {
+  // Récupérer les infos de l'auteur
+  const authorUser = usersMap.get(post.createdBy) || { name: "Utilisateur inconnu" };
+
+  // Gérer les commentaires (ajouter les noms des commentateurs, organisés en arbre)
+  const visibleComments = (post.comments || []).filter(comment => !hiddenUserIds.includes(comment.commentedBy));
+  const commentWithNames = buildCommentTree(visibleComments, usersMap);
+
+  // Gérer les posts partagés
+  let sharedFromName = undefined;
+  if (post.isShared && post.sharedFrom) {
+    const sharedAuthor = usersMap.get(post.sharedFrom);
+    sharedFromName = sharedAuthor ? sharedAuthor.name : "Utilisateur inconnu";
+  }
+
+  // Construire l'objet post final
+  return {
+    id: post._id,
+    content: post.body || "",
+    author: authorUser.name,
+    authorAvatar: authorUser.avatar || "",
+    authorId: post.createdBy,
+    likes: post.likes || 0,
+    likedBy: post.likedBy || [],
+    images: post.images || [],
+    comments: commentWithNames,
+    date: post.date && post.hour ? `${post.date}T${post.hour}` : new Date().toISOString(),
+    hashtags: post.hashtags || [],
+    isShared: post.isShared || false,
+    sharedFrom: post.sharedFrom,
+    sharedFromName: sharedFromName,
+    shareComment: post.shareComment || null,
+    originalPost: post.originalPost || null,
+    originalDeleted: post.originalDeleted || false
+  };
+};
+
+/**
+ * Récupère le post original d'un partage
+ * @param {Collection} cerisonetCollection - Collection MongoDB CERISoNet
+ * @param {Object} post - Document MongoDB du post partagé
+ * @returns {Promise<Object|null>} Document du post original ou null s'il n'existe plus
+ */
+export const findOriginalPost = async (cerisonetCollection, post) => {
+  if (!post.isShared || !post.originalPost || post.originalDeleted) {
+    return null;
+  }
+  return cerisonetCollection.findOne({ _id: parsePostId(post.originalPost) });
+};
+
+/**
+ * Remonte une chaîne de partages jusqu'au post racine (celui qui n'est pas un partage)
+ * @param {Collection} cerisonetCollection - Collection MongoDB CERISoNet
+ * @param {Object} post - Document MongoDB du post de départ
+ * @returns {Promise<Object|null>} Document du post racine, ou null si un maillon a été supprimé
+ */
+export const findRootPost = async (cerisonetCollection, post) => {
+  let current = post;
+  // Limite de profondeur pour se protéger d'une chaîne circulaire
+  for (let depth = 0; depth < MAX_SHARE_DEPTH && current.isShared; depth++) {
+    current = await findOriginalPost(cerisonetCollection, current);
+    if (!current) {
+      return null;
+    }
+  }
+  return current.isShared ? null : current;
+};
+
+/**
+ * Construit les options de tri du mur d'accueil
+ * L'identifiant est ajouté en dernier critère pour que l'ordre soit total (pagination par curseur)
+ * @param {string} sortBy - Critère de tri: 'date', 'owner' ou 'popularity'
+ * @param {string} sortDirection - Sens du tri: 'asc' ou 'desc'
+ * @returns {Object} Options de tri MongoDB
+ */
+export const getSortOptions = (sortBy, sortDirection) => {
+  const direction = sortDirection === 'asc' ? 1 : -1;
+
+  switch (sortBy) {
+    case 'date':
+      // Tri par date
+      return { date: direction, hour: direction, _id: direction };
+    case 'owner':
+      // Tri par propriétaire
+      return { createdBy: direction, date: -1, hour: -1, _id: -1 };
+    case 'popularity':
+      // Tri par popularité (nombre de likes)
+      return { likes: direction, date: -1, hour: -1, _id: -1 };
+    default:
+      // Tri par défaut: date décroissante
+      return { date: -1, hour: -1, _id: -1 };
+  }
+};
+
+/**
+ * Encode un curseur opaque à partir du dernier post d'une page
+ * @param {Object} post - Dernier document MongoDB renvoyé
+ * @param {Object} sortOptions - Options de tri utilisées (voir getSortOptions)
+ * @returns {string} Curseur en base64url
+ */
+export const encodeCursor = (post, sortOptions) => {
+  const values = Object.keys(sortOptions).map(field => post[field] ?? null);
+  return Buffer.from(BSON.EJSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Décode un curseur opaque
+ * @param {string} cursor - Curseur reçu du client
+ * @param {Object} sortOptions - Options de tri de la requête courante
+ * @returns {Array|null} Valeurs des clés de tri, ou null si le curseur est invalide
+ */
+export const decodeCursor = (cursor, sortOptions) => {
+  try {
+    const values = BSON.EJSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Array.isArray(values) || values.length !== Object.keys(sortOptions).length) {
+      return null;
+    }
+    return values;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Construit le filtre MongoDB sélectionnant les posts situés après le curseur
+ * Pour un tri (a, b, c) on obtient: a > va OU (a = va ET b > vb) OU (a = va ET b = vb ET c > vc)
+ * @param {Object} sortOptions - Options de tri de la requête courante
+ * @param {Array} values - Valeurs décodées du curseur
+ * @returns {Object} Filtre MongoDB
+ */
+export const buildCursorFilter = (sortOptions, values) => {
+  const fields = Object.keys(sortOptions);
+
+  return {
+    $or: fields.map((field, index) => {
+      const condition = {};
+      fields.slice(0, index).forEach((previous, i) => {
+        condition[previous] = values[i];
+      });
+      condition[field] = { [sortOptions[field] === 1 ? '$gt' : '$lt']: values[index] };
+      return condition;
+    })
+  };
+};
+
+/**
+ * Construit le filtre MongoDB du mur d'accueil à partir des paramètres de requête
+ * @param {Object} query - Paramètres de requête (hashtag, filterByOwner, userId)
+ * @param {Array<number>} [followingIds] - Utilisateurs suivis par l'utilisateur connecté (filterByOwner = 'following')
+ * @param {Array<number>} [hiddenUserIds] - Utilisateurs masqués ou bloqués par l'utilisateur connecté
+ * @returns {Object} Filtre MongoDB
+ */
+export const buildFeedFilter = (query, followingIds = [], hiddenUserIds = []) => {
+  const filter = {};
+
+  // Filtre par hashtag si présent
+  if (query.hashtag) {
+    filter.hashtags = query.hashtag;
+  }
+
+  // Posts et partages des utilisateurs masqués, partages de leurs posts
+  if (hiddenUserIds.length) {
+    filter.$nor = [
+      { createdBy: { $in: hiddenUserIds } },
+      { sharedFrom: { $in: hiddenUserIds } }
+    ];
+  }
+
+  // Posts publiés ou partagés par les utilisateurs suivis (un partage appartient à celui qui partage)
+  if (query.filterByOwner === 'following') {
+    filter.createdBy = { $in: followingIds };
+    return filter;
+  }
+
+  // Filtre par propriétaire
+  if (query.filterByOwner && query.userId) {
+    const userId = parseInt(query.userId);
+
+    if (query.filterByOwner === 'me') {
+      // Afficher uniquement les posts de l'utilisateur connecté
+      filter.createdBy = userId;
+    } else if (query.filterByOwner === 'others') {
+      // Afficher uniquement les posts des autres utilisateurs
+      filter.createdBy = { $ne: userId };
+    }
+    // Par défaut c'est 'all'
+  }
+
+  return filter;
+};
+
+/**
+ * Calcule les statistiques d'activité d'un utilisateur
+ * @param {Collection} cerisonetCollection - Collection MongoDB CERISoNet
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<Object>} Nombre de posts publiés, de partages effectués,
+ * de likes reçus (sur ses posts et partages) et de commentaires écrits
+ */
+export const getUserPostStats = async (cerisonetCollection, userId) => {
+  const [result] = await cerisonetCollection.aggregate([
+    // Filtre indexé avant le $facet (les $match internes au $facet n'utilisent pas d'index)
+    { $match: { $or: [{ createdBy: userId }, { 'comments.commentedBy': userId }] } },
+    {
+      $facet: {
+        authored: [
+          { $match: { createdBy: userId } },
+          {
+            $group: {
+              _id: null,
+              posts: { $sum: { $cond: [{ $eq: ['$isShared', true] }, 0, 1] } },
+              shares: { $sum: { $cond: [{ $eq: ['$isShared', true] }, 1, 0] } },
+              likesReceived: { $sum: { $ifNull: ['$likes', 0] } }
+            }
+          }
+        ],
+        comments: [
+          { $match: { 'comments.commentedBy': userId } },
+          { $unwind: '$comments' },
+          { $match: { 'comments.commentedBy': userId } },
+          { $count: 'count' }
+        ]
+      }
+    }
+  ]).toArray();
+
+  const authored = result.authored[0] || {};
+  return {
+    posts: authored.posts || 0,
+    shares: authored.shares || 0,
+    likesReceived: authored.likesReceived || 0,
+    comments: result.comments[0] ? result.comments[0].count : 0
+  };
+};
+
+// Longueur de contexte conservée de part et d'autre d'un passage trouvé
+const HIGHLIGHT_CONTEXT = 60;
+
+/**
+ * Échappe les caractères HTML d'un texte
+ * @param {string} text - Texte brut
+ * @returns {string} Texte échappé
+ */
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Normalise un texte pour la comparaison (minuscules, sans accents)
+ * La longueur est conservée afin que les positions restent valables dans le texte d'origine
+ * @param {string} text - Texte à normaliser
+ * @returns {string} Texte normalisé
+ */
+const normalizeForSearch = (text) => {
+  return text
+    .split('')
+    .map(char => char.normalize('NFD')[0].toLowerCase())
+    .join('');
+};
+
+/**
+ * Découpe une recherche plein texte en termes à surligner
+ * Les termes exclus (préfixés par -) sont ignorés
+ * @param {string} search - Recherche saisie par l'utilisateur
+ * @returns {Array<string>} Termes normalisés
+ */
+export const getSearchTerms = (search) => {
+  return search
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(normalizeForSearch);
+};
+
+/**
+ * Extrait un fragment de texte autour des termes trouvés et les entoure de <mark>
+ * Le texte est échappé, le fragment peut donc être injecté tel quel dans le HTML
+ * @param {string} text - Texte dans lequel chercher
+ * @param {Array<string>} terms - Termes normalisés (voir getSearchTerms)
+ * @returns {string|null} Fragment surligné ou null si aucun terme n'est trouvé
+ */
+export const highlightText = (text, terms) => {
+  if (!text || !terms.length) {
+    return null;
+  }
+
+  // Recherche des débuts de mots correspondant à un terme
+  const normalized = normalizeForSearch(text);
+  const ranges = [];
+  terms.forEach(term => {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}[\\p{L}\\p{N}]*`, 'gu');
+    for (const match of normalized.matchAll(regex)) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  });
+
+  if (!ranges.length) {
+    return null;
+  }
+
+  // Fusion des passages qui se chevauchent
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [ranges[0]];
+  ranges.slice(1).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+
+  // Fragment centré sur le premier passage trouvé
+  const fragmentStart = Math.max(0, merged[0][0] - HIGHLIGHT_CONTEXT);
+  const fragmentEnd = Math.min(text.length, merged[0][1] + HIGHLIGHT_CONTEXT);
+
+  let fragment = fragmentStart > 0 ? '…' : '';
+  let position = fragmentStart;
+  merged
+    .filter(([start, end]) => start >= fragmentStart && end <= fragmentEnd)
+    .forEach(([start, end]) => {
+      fragment += escapeHtml(text.slice(position, start));
+      fragment += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+      position = end;
+    });
+  fragment += escapeHtml(text.slice(position, fragmentEnd));
+  if (fragmentEnd < text.length) {
+    fragment += '…';
+  }
+
+  return fragment;
+};
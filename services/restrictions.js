@@ -0,0 +1,113 @@
+/**
+ * Service de masquage et de blocage des utilisateurs
+ * Un utilisateur masqué n'apparaît plus sur le mur ni dans les notifications en temps réel,
+ * un utilisateur bloqué est en plus empêché d'interagir avec les posts de celui qui l'a bloqué
+ */
+
+import { mongoConfig } from '../config/db.js';
+import { getCollection } from './mongo.js';
+
+/**
+ * Types de restriction
+ */
+export const RESTRICTION_TYPES = {
+  MUTE: 'mute',
+  BLOCK: 'block'
+};
+
+/**
+ * Récupère la collection des restrictions
+ * @returns {Promise<Collection>} Collection MongoDB
+ */
+const getRestrictionsCollection = async () => {
+  const collection = await getCollection(mongoConfig.restrictionsCollection);
+  if (!collection) {
+    throw new Error("Erreur de connexion à la base de données MongoDB");
+  }
+  return collection;
+};
+
+/**
+ * Masque ou bloque un utilisateur
+ * @param {number} userId - ID de l'utilisateur à l'origine de la restriction
+ * @param {number} targetId - ID de l'utilisateur masqué ou bloqué
+ * @param {string} type - Type de restriction (voir RESTRICTION_TYPES)
+ * @returns {Promise<boolean>} Vrai si la restriction a été créée, faux si elle existait déjà
+ */
+export const addRestriction = async (userId, targetId, type) => {
+  const restrictionsCollection = await getRestrictionsCollection();
+  const result = await restrictionsCollection.updateOne(
+    { userId, targetId, type },
+    { $setOnInsert: { userId, targetId, type, createdAt: new Date() } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+};
+
+/**
+ * Lève une restriction
+ * @param {number} userId - ID de l'utilisateur à l'origine de la restriction
+ * @param {number} targetId - ID de l'utilisateur masqué ou bloqué
+ * @param {string} type - Type de restriction (voir RESTRICTION_TYPES)
+ * @returns {Promise<boolean>} Vrai si une restriction a été supprimée
+ */
+export const removeRestriction = async (userId, targetId, type) => {
+  const restrictionsCollection = await getRestrictionsCollection();
+  const result = await restrictionsCollection.deleteOne({ userId, targetId, type });
+  return result.deletedCount > 0;
+};
+
+/**
+ * Liste les utilisateurs masqués ou bloqués par un utilisateur, du plus récent au plus ancien
+ * @param {number} userId - ID de l'utilisateur
+ * @param {string} type - Type de restriction (voir RESTRICTION_TYPES)
+ * @returns {Promise<Array<{userId: number, since: Date}>>} Utilisateurs concernés
+ */
+export const listRestrictions = async (userId, type) => {
+  const restrictionsCollection = await getRestrictionsCollection();
+  const restrictions = await restrictionsCollection.find({ userId, type })
+    .sort({ createdAt: -1 })
+    .toArray();
+  return restrictions.map(restriction => ({ userId: restriction.targetId, since: restriction.createdAt }));
+};
+
+/**
+ * Récupère les utilisateurs dont le contenu est caché à un utilisateur (masqués ou bloqués)
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<Array<number>>} IDs des utilisateurs cachés
+ */
+export const getHiddenUserIds = async (userId) => {
+  const restrictionsCollection = await getRestrictionsCollection();
+  return restrictionsCollection.distinct('targetId', { userId });
+};
+
+/**
+ * Récupère les utilisateurs qui ont masqué ou bloqué un utilisateur
+ * (ils ne reçoivent pas les notifications en temps réel de son contenu)
+ * @param {number} targetId - ID de l'utilisateur masqué ou bloqué
+ * @returns {Promise<Array<number>>} IDs des utilisateurs concernés
+ */
+export const getMuterIds = async (targetId) => {
+  const restrictionsCollection = await getRestrictionsCollection();
+  return restrictionsCollection.distinct('userId', { targetId });
+};
+
+/**
+ * Indique si un utilisateur a été bloqué par l'un des utilisateurs donnés
+ * @param {number} userId - ID de l'utilisateur qui tente d'interagir
+ * @param {Array<number>} blockerIds - IDs des auteurs concernés (auteur du post, auteur de l'original d'un partage)
+ * @returns {Promise<boolean>} Vrai si l'interaction doit être refusée
+ */
+export const isBlockedBy = async (userId, blockerIds) => {
+  const ids = blockerIds.filter(id => id !== undefined && id !== null && id !== userId);
+  if (!ids.length) {
+    return false;
+  }
+
+  const restrictionsCollection = await getRestrictionsCollection();
+  const count = await restrictionsCollection.countDocuments(
+    { userId: { $in: ids }, targetId: userId, type: RESTRICTION_TYPES.BLOCK },
+    { limit: 1 }
+  );
+  return count > 0;
+};
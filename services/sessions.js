@@ -0,0 +1,155 @@
+/**
+ * Service de gestion des sessions
+ * Accès aux sessions Express stockées dans MongoDB
+ */
+
+import crypto from 'crypto';
+import { mongoConfig } from '../config/db.js';
+import { getCollection } from './mongo.js';
+
+// Intervalle minimal entre deux mises à jour de la dernière activité (évite une écriture par requête)
+const LAST_SEEN_INTERVAL = 1000 * 60; // 1 minute
+
+/**
+ * Récupère la collection des sessions
+ * @returns {Promise<Collection>} Collection MongoDB
+ */
+const getSessionCollection = async () => {
+  const sessionCollection = await getCollection(mongoConfig.sessionCollection);
+  if (!sessionCollection) {
+    throw new Error("Erreur de connexion à la base de données MongoDB");
+  }
+  return sessionCollection;
+};
+
+/**
+ * Calcule l'identifiant public d'une session
+ * L'identifiant réel (sid) n'est jamais exposé au client
+ * @param {string} sessionId - Identifiant de session express-session
+ * @returns {string} Identifiant public
+ */
+export const getPublicSessionId = (sessionId) => {
+  return crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 32);
+};
+
+/**
+ * Enregistre les informations de la session à la connexion
+ * @param {Object} req - Requête Express
+ */
+export const initSessionMetadata = (req) => {
+  const now = new Date().toISOString();
+  req.session.meta = {
+    createdAt: now,
+    lastSeenAt: now,
+    userAgent: req.get('User-Agent') || null,
+    ip: req.ip
+  };
+};
+
+/**
+ * Met à jour la dernière activité de la session (au plus une fois par minute)
+ * @param {Object} req - Requête Express
+ */
+export const touchSessionActivity = (req) => {
+  const meta = req.session.meta;
+  if (!meta) {
+    return;
+  }
+  if (Date.now() - new Date(meta.lastSeenAt).getTime() > LAST_SEEN_INTERVAL) {
+    meta.lastSeenAt = new Date().toISOString();
+    meta.ip = req.ip;
+  }
+};
+
+/**
+ * Liste les sessions actives d'un utilisateur
+ * @param {number} userId - ID de l'utilisateur
+ * @param {string} currentSessionId - Identifiant de la session de la requête courante
+ * @returns {Promise<Array>} Sessions, de la plus récemment active à la plus ancienne
+ */
+export const listUserSessions = async (userId, currentSessionId) => {
+  const sessionCollection = await getSessionCollection();
+  const sessions = await sessionCollection.find({
+    'session.user.id': userId,
+    expires: { $gt: new Date() }
+  }).toArray();
+
+  return sessions
+    .map(({ _id, expires, session }) => {
+      const meta = session.meta || {};
+      return {
+        id: getPublicSessionId(_id),
+        current: _id === currentSessionId,
+        createdAt: meta.createdAt || session.user.lastLogin || null,
+        lastSeenAt: meta.lastSeenAt || null,
+        userAgent: meta.userAgent || null,
+        ip: meta.ip || null,
+        expires
+      };
+    })
+    .sort((a, b) => String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)));
+};
+
+/**
+ * Supprime des sessions d'un utilisateur dans le store MongoDB
+ * @param {number} userId - ID de l'utilisateur
+ * @param {Object} [options] - Sessions à supprimer (toutes par défaut)
+ * @param {string} [options.publicId] - Ne supprimer que la session portant cet identifiant public
+ * @param {string} [options.exceptSessionId] - Conserver cette session (identifiant réel)
+ * @returns {Promise<Array<string>>} Identifiants réels des sessions supprimées
+ */
+export const destroyUserSessions = async (userId, { publicId, exceptSessionId } = {}) => {
+  const sessionCollection = await getSessionCollection();
+
+  const sessions = await sessionCollection.find(
+    { 'session.user.id': userId },
+    { projection: { _id: 1 } }
+  ).toArray();
+
+  const sessionIds = sessions
+    .map(session => session._id)
+    .filter(sessionId => sessionId !== exceptSessionId)
+    .filter(sessionId => !publicId || getPublicSessionId(sessionId) === publicId);
+
+  if (sessionIds.length) {
+    await sessionCollection.deleteMany({ _id: { $in: sessionIds } });
+  }
+  return sessionIds;
+};
+
+/**
+ * Indique si un utilisateur a encore au moins une session active
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<boolean>} Vrai s'il reste une session
+ */
+export const hasActiveSession = async (userId) => {
+  const sessionCollection = await getSessionCollection();
+  const count = await sessionCollection.countDocuments(
+    { 'session.user.id': userId, expires: { $gt: new Date() } },
+    { limit: 1 }
+  );
+  return count > 0;
+};
+
+/**
+ * Met à jour l'utilisateur enregistré dans les autres sessions d'un utilisateur
+ * (après une modification du profil)
+ * @param {number} userId - ID de l'utilisateur
+ * @param {Object} fields - Champs modifiés (nom, prenom, avatar)
+ * @param {string} [exceptSessionId] - Session courante, mise à jour par express-session
+ * @returns {Promise<number>} Nombre de sessions mises à jour
+ */
+export const updateUserSessions = async (userId, fields, exceptSessionId) => {
+  const sessionCollection = await getSessionCollection();
+
+  const update = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    update[`session.user.${field}`] = value;
+  });
+
+  const result = await sessionCollection.updateMany(
+    { 'session.user.id': userId, _id: { $ne: exceptSessionId } },
+    { $set: update }
+  );
+  return result.modifiedCount;
+};
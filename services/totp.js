@@ -0,0 +1,144 @@
+/**
+ * Service TOTP (RFC 6238)
+ * Génération et vérification des codes temporaires de double authentification,
+ * implémentés avec le module crypto de Node (aucun service externe)
+ */
+
+import crypto from 'crypto';
+import { authConfig } from '../config/auth.js';
+
+// Alphabet Base32 (RFC 4648) utilisé pour échanger le secret avec l'application d'authentification
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Taille du secret en octets (160 bits, recommandé pour HMAC-SHA1)
+const SECRET_BYTES = 20;
+
+/**
+ * Encode des octets en Base32 sans remplissage
+ * @param {Buffer} buffer - Octets à encoder
+ * @returns {string} Chaîne Base32
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Décode une chaîne Base32 (espaces, tirets et remplissage ignorés)
+ * @param {string} input - Chaîne Base32
+ * @returns {Buffer} Octets décodés
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Caractère Base32 invalide: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Génère un nouveau secret TOTP
+ * @returns {string} Secret encodé en Base32
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+};
+
+/**
+ * Construit l'URI otpauth:// à transmettre à l'application d'authentification (ou à afficher en QR code)
+ * @param {string} secret - Secret Base32
+ * @param {string} accountName - Nom du compte (adresse email)
+ * @returns {string} URI otpauth
+ */
+export const buildOtpauthUri = (secret, accountName) => {
+  const { issuer, digits, period } = authConfig.twoFactor;
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits),
+    period: String(period)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Calcule le code d'une période donnée (HOTP, RFC 4226)
+ * @param {string} secret - Secret Base32
+ * @param {number} step - Numéro de la période (temps Unix / durée d'une période)
+ * @returns {string} Code à 6 chiffres (par défaut)
+ */
+export const generateTotpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Troncature dynamique
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  const { digits } = authConfig.twoFactor;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Retourne la période courante
+ * @param {number} [time] - Horodatage en millisecondes (maintenant par défaut)
+ * @returns {number} Numéro de la période
+ */
+export const getCurrentStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / authConfig.twoFactor.period);
+};
+
+/**
+ * Vérifie un code saisi par l'utilisateur
+ * Les périodes voisines sont acceptées pour tolérer un léger décalage d'horloge
+ * @param {string} secret - Secret Base32
+ * @param {string} code - Code saisi
+ * @returns {number|null} Période correspondant au code (pour empêcher sa réutilisation), ou null si invalide
+ */
+export const verifyTotpCode = (secret, code) => {
+  const { digits, window } = authConfig.twoFactor;
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getCurrentStep();
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateTotpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
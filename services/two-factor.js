@@ -0,0 +1,195 @@
+/**
+ * Service de double authentification
+ * Activation du TOTP, vérification des codes et gestion des codes de secours
+ */
+
+import crypto from 'crypto';
+import { authConfig } from '../config/auth.js';
+import { mongoConfig } from '../config/db.js';
+import { getCollection } from './mongo.js';
+import { generateTotpSecret, verifyTotpCode } from './totp.js';
+
+/**
+ * Normalise puis calcule l'empreinte d'un code de secours (seule l'empreinte est stockée en base)
+ * @param {string} code - Code de secours saisi (casse, espaces et tirets ignorés)
+ * @returns {string} Empreinte SHA-256 en hexadécimal
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Génère une nouvelle série de codes de secours
+ * @returns {{codes: Array<string>, hashes: Array<string>}} Codes en clair (affichés une seule fois) et leurs empreintes
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: authConfig.twoFactor.recoveryCodes }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Récupère la collection de double authentification
+ * @returns {Promise<Collection>} Collection MongoDB
+ */
+const getTwoFactorCollection = async () => {
+  const collection = await getCollection(mongoConfig.twoFactorCollection);
+  if (!collection) {
+    throw new Error("Erreur de connexion à la base de données MongoDB");
+  }
+  return collection;
+};
+
+/**
+ * Indique l'état de la double authentification d'un utilisateur
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<{enabled: boolean, enabledAt: Date|null, recoveryCodesRemaining: number}>} État
+ */
+export const getTwoFactorStatus = async (userId) => {
+  const twoFactorCollection = await getTwoFactorCollection();
+  const doc = await twoFactorCollection.findOne({ userId });
+
+  if (!doc || !doc.enabled) {
+    return { enabled: false, enabledAt: null, recoveryCodesRemaining: 0 };
+  }
+  return {
+    enabled: true,
+    enabledAt: doc.enabledAt,
+    recoveryCodesRemaining: doc.recoveryCodes.length
+  };
+};
+
+/**
+ * Indique si la double authentification est activée pour un utilisateur
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<boolean>} Vrai si un code est exigé à la connexion
+ */
+export const isTwoFactorEnabled = async (userId) => {
+  const twoFactorCollection = await getTwoFactorCollection();
+  const count = await twoFactorCollection.countDocuments({ userId, enabled: true }, { limit: 1 });
+  return count > 0;
+};
+
+/**
+ * Démarre l'enrôlement: génère un secret en attente de confirmation
+ * Un enrôlement précédent non confirmé est remplacé
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<string>} Secret Base32
+ */
+export const startTwoFactorSetup = async (userId) => {
+  const twoFactorCollection = await getTwoFactorCollection();
+  const secret = generateTotpSecret();
+
+  await twoFactorCollection.updateOne(
+    { userId },
+    {
+      $set: { pendingSecret: secret, pendingSince: new Date() },
+      $setOnInsert: { userId, enabled: false, secret: null, recoveryCodes: [], lastUsedStep: null }
+    },
+    { upsert: true }
+  );
+
+  return secret;
+};
+
+/**
+ * Confirme l'enrôlement avec un premier code et active la double authentification
+ * @param {number} userId - ID de l'utilisateur
+ * @param {string} code - Code affiché par l'application d'authentification
+ * @returns {Promise<Array<string>|null>} Codes de secours en clair, ou null si le code est invalide ou aucun enrôlement n'est en cours
+ */
+export const confirmTwoFactorSetup = async (userId, code) => {
+  const twoFactorCollection = await getTwoFactorCollection();
+  const doc = await twoFactorCollection.findOne({ userId, enabled: false, pendingSecret: { $type: 'string' } });
+  if (!doc) {
+    return null;
+  }
+
+  const step = verifyTotpCode(doc.pendingSecret, code);
+  if (step === null) {
+    return null;
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  const result = await twoFactorCollection.updateOne(
+    { _id: doc._id, enabled: false, pendingSecret: doc.pendingSecret },
+    {
+      $set: {
+        enabled: true,
+        enabledAt: new Date(),
+        secret: doc.pendingSecret,
+        recoveryCodes: hashes,
+        lastUsedStep: step
+      },
+      $unset: { pendingSecret: '', pendingSince: '' }
+    }
+  );
+
+  return result.modifiedCount ? codes : null;
+};
+
+/**
+ * Vérifie un second facteur: code TOTP ou code de secours (à usage unique)
+ * Un code TOTP déjà accepté ne peut pas être rejoué
+ * @param {number} userId - ID de l'utilisateur
+ * @param {string} code - Code TOTP ou code de secours
+ * @returns {Promise<'totp'|'recovery'|null>} Type de code accepté, ou null si invalide
+ */
+export const verifySecondFactor = async (userId, code) => {
+  if (typeof code !== 'string' || !code.trim()) {
+    return null;
+  }
+
+  const twoFactorCollection = await getTwoFactorCollection();
+  const doc = await twoFactorCollection.findOne({ userId, enabled: true });
+  if (!doc) {
+    return null;
+  }
+
+  const step = verifyTotpCode(doc.secret, code);
+  if (step !== null) {
+    // Mise à jour conditionnelle: deux requêtes simultanées avec le même code ne passent pas toutes les deux
+    const result = await twoFactorCollection.updateOne(
+      { _id: doc._id, $or: [{ lastUsedStep: null }, { lastUsedStep: { $lt: step } }] },
+      { $set: { lastUsedStep: step } }
+    );
+    return result.modifiedCount ? 'totp' : null;
+  }
+
+  const codeHash = hashRecoveryCode(code);
+  const result = await twoFactorCollection.updateOne(
+    { _id: doc._id, recoveryCodes: codeHash },
+    { $pull: { recoveryCodes: codeHash } }
+  );
+  return result.modifiedCount ? 'recovery' : null;
+};
+
+/**
+ * Remplace les codes de secours d'un utilisateur
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<Array<string>|null>} Nouveaux codes en clair, ou null si la double authentification n'est pas activée
+ */
+export const regenerateRecoveryCodes = async (userId) => {
+  const twoFactorCollection = await getTwoFactorCollection();
+  const { codes, hashes } = generateRecoveryCodes();
+
+  const result = await twoFactorCollection.updateOne(
+    { userId, enabled: true },
+    { $set: { recoveryCodes: hashes } }
+  );
+  return result.matchedCount ? codes : null;
+};
+
+/**
+ * Désactive la double authentification d'un utilisateur
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<boolean>} Vrai si elle était activée
+ */
+export const disableTwoFactor = async (userId) => {
+  const twoFactorCollection = await getTwoFactorCollection();
+  const result = await twoFactorCollection.deleteOne({ userId, enabled: true });
+  return result.deletedCount > 0;
+};
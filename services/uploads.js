@@ -0,0 +1,209 @@
+/**
+ * Service de gestion des fichiers téléversés
+ * Validation, URL publiques et nettoyage des images stockées sur le disque
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { mongoConfig } from '../config/db.js';
+import { uploadConfig } from '../config/upload.js';
+import { getCollection } from './mongo.js';
+
+// Préfixe des fichiers d'avatar (les distingue des images de posts)
+const AVATAR_PREFIX = 'avatar-';
+
+// Signatures binaires des formats d'image acceptés
+const IMAGE_SIGNATURES = {
+  'image/jpeg': (header) => header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff,
+  'image/png': (header) => header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/gif': (header) => header.subarray(0, 4).toString('ascii') === 'GIF8',
+  'image/webp': (header) => header.subarray(0, 4).toString('ascii') === 'RIFF' && header.subarray(8, 12).toString('ascii') === 'WEBP'
+};
+
+/**
+ * Crée le répertoire de stockage s'il n'existe pas
+ */
+export const ensureUploadDirectory = () => {
+  fs.mkdirSync(uploadConfig.directory, { recursive: true });
+};
+
+/**
+ * Vérifie que le contenu d'un fichier correspond bien au type d'image annoncé
+ * @param {string} filePath - Chemin du fichier sur le disque
+ * @param {string} mimetype - Type MIME annoncé par le client
+ * @returns {Promise<boolean>} Vrai si la signature du fichier correspond
+ */
+export const isValidImageFile = async (filePath, mimetype) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(12);
+    await handle.read(header, 0, header.length, 0);
+    return isValidImageBuffer(header, mimetype);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Vérifie que le début d'un fichier en mémoire correspond bien au type d'image annoncé
+ * @param {Buffer} buffer - Contenu du fichier (au moins les 12 premiers octets)
+ * @param {string} mimetype - Type MIME annoncé par le client
+ * @returns {boolean} Vrai si la signature du fichier correspond
+ */
+export const isValidImageBuffer = (buffer, mimetype) => {
+  const checkSignature = IMAGE_SIGNATURES[mimetype];
+  if (!checkSignature || buffer.length < 12) {
+    return false;
+  }
+  return checkSignature(buffer);
+};
+
+/**
+ * Récupère la collection des fichiers téléversés
+ * @returns {Promise<Collection>} Collection MongoDB
+ */
+const getUploadsCollection = async () => {
+  const collection = await getCollection(mongoConfig.uploadsCollection);
+  if (!collection) {
+    throw new Error("Erreur de connexion à la base de données MongoDB");
+  }
+  return collection;
+};
+
+/**
+ * Enregistre l'auteur de fichiers téléversés
+ * Seuls les fichiers enregistrés au nom de l'auteur d'un post peuvent être supprimés avec lui
+ * @param {Array<string>} filenames - Noms des fichiers stockés
+ * @param {number} userId - ID de l'utilisateur qui a téléversé les fichiers
+ * @returns {Promise<void>}
+ */
+export const recordUploads = async (filenames, userId) => {
+  const uploadsCollection = await getUploadsCollection();
+  const uploadedAt = new Date();
+  await uploadsCollection.insertMany(filenames.map(filename => ({ filename, uploadedBy: userId, uploadedAt })));
+};
+
+/**
+ * Construit le chemin public (relatif au serveur) d'un fichier téléversé
+ * @param {string} filename - Nom du fichier stocké
+ * @returns {string} Chemin du fichier (/uploads/...)
+ */
+export const getUploadPath = (filename) => {
+  return `${uploadConfig.publicPath}/${filename}`;
+};
+
+/**
+ * Retrouve le nom du fichier local correspondant à une image de post
+ * @param {string|Object} image - URL de l'image ou objet { url }
+ * @returns {string|null} Nom du fichier ou null si l'image n'est pas stockée localement
+ */
+const getUploadFilename = (image) => {
+  const url = typeof image === 'string' ? image : image && image.url;
+  if (!url) {
+    return null;
+  }
+
+  try {
+    const { pathname } = new URL(url, 'https://localhost');
+    if (!pathname.startsWith(`${uploadConfig.publicPath}/`)) {
+      return null;
+    }
+    // basename empêche de sortir du répertoire de stockage
+    return path.basename(pathname);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Supprime du disque les images d'un post qui ne sont plus utilisées par aucun autre post
+ * (les partages conservent une copie de la liste d'images de l'original)
+ * Seuls les fichiers téléversés par l'auteur du post sont supprimés
+ * @param {Collection} cerisonetCollection - Collection MongoDB CERISoNet
+ * @param {Array} images - Images du post supprimé
+ * @param {number} authorId - ID de l'auteur du post
+ * @returns {Promise<number>} Nombre de fichiers supprimés
+ */
+export const deleteUnusedImages = async (cerisonetCollection, images, authorId) => {
+  const uploadsCollection = await getUploadsCollection();
+  let deleted = 0;
+
+  for (const image of images || []) {
+    const filename = getUploadFilename(image);
+    // Les avatars partagent le répertoire de stockage mais ne sont jamais rattachés à un post
+    if (!filename || filename.startsWith(AVATAR_PREFIX)) {
+      continue;
+    }
+
+    // Le fichier peut être référencé par un chemin relatif ou une URL absolue (hôte quelconque)
+    const escapedPath = getUploadPath(filename).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const filenamePattern = new RegExp(`^([a-z]+://[^/]+)?${escapedPath}([?#]|$)`, 'i');
+    const stillUsed = await cerisonetCollection.countDocuments(
+      { $or: [{ images: filenamePattern }, { 'images.url': filenamePattern }] },
+      { limit: 1 }
+    );
+    if (stillUsed) {
+      continue;
+    }
+
+    // Un fichier téléversé par un autre utilisateur n'est jamais supprimé
+    const upload = await uploadsCollection.findOne({ filename, uploadedBy: authorId });
+    if (!upload) {
+      continue;
+    }
+
+    try {
+      await fs.promises.unlink(path.join(uploadConfig.directory, filename));
+      await uploadsCollection.deleteOne({ _id: upload._id });
+      deleted++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Erreur lors de la suppression de l'image ${filename}:`, error);
+      }
+    }
+  }
+
+  return deleted;
+};
+
+/**
+ * Redimensionne et enregistre un avatar (carré, WebP, métadonnées supprimées)
+ * @param {Buffer} buffer - Image envoyée par l'utilisateur
+ * @returns {Promise<string>} Nom du fichier enregistré
+ */
+export const saveAvatar = async (buffer) => {
+  const filename = `${AVATAR_PREFIX}${crypto.randomUUID()}.webp`;
+
+  await sharp(buffer, { animated: false })
+    .rotate()
+    .resize(uploadConfig.avatarSize, uploadConfig.avatarSize, { fit: 'cover' })
+    .webp({ quality: 85 })
+    .toFile(path.join(uploadConfig.directory, filename));
+
+  return filename;
+};
+
+/**
+ * Supprime du disque un ancien avatar
+ * Les avatars qui ne proviennent pas d'un téléversement (URL externes) sont ignorés
+ * @param {string|null} avatar - URL de l'avatar remplacé
+ * @returns {Promise<boolean>} Vrai si un fichier a été supprimé
+ */
+export const deleteAvatarFile = async (avatar) => {
+  const filename = getUploadFilename(avatar);
+  if (!filename || !filename.startsWith(AVATAR_PREFIX)) {
+    return false;
+  }
+
+  try {
+    await fs.promises.unlink(path.join(uploadConfig.directory, filename));
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Erreur lors de la suppression de l'avatar ${filename}:`, error);
+    }
+    return false;
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Authentification des événements Socket.IO
+ * Identité, rôles et blocages de l'utilisateur associé à la connexion WebSocket
+ */
+
+import { hasRole } from '../middlewares/role.js';
+import { isBlockedBy } from '../services/restrictions.js';
+
+/**
+ * Récupère l'utilisateur authentifié d'une connexion socket
+ * L'identité provient toujours de la session, jamais des données envoyées par le client.
+ * Si la connexion n'est pas authentifiée, une erreur est envoyée au client.
+ * @param {Socket} socket - Connexion socket individuelle
+ * @returns {Object|null} Utilisateur de session ou null si non authentifié
+ */
+export const requireSocketUser = (socket) => {
+  const user = socket.data.user;
+  if (!user || !user.id) {
+    socket.emit('error', { message: "Non authentifié", code: 'UNAUTHENTICATED' });
+    return null;
+  }
+  return user;
+};
+
+/**
+ * Récupère l'utilisateur authentifié s'il possède un des rôles donnés
+ * Sinon une erreur est envoyée au client (équivalent de requireRole pour Socket.IO)
+ * @param {Socket} socket - Connexion socket individuelle
+ * @param {...string} roles - Rôles acceptés
+ * @returns {Object|null} Utilisateur de session ou null si non autorisé
+ */
+export const requireSocketRole = (socket, ...roles) => {
+  const user = requireSocketUser(socket);
+  if (!user) {
+    return null;
+  }
+  if (!hasRole(user, ...roles)) {
+    socket.emit('error', { message: "Accès refusé", code: 'FORBIDDEN' });
+    return null;
+  }
+  return user;
+};
+
+/**
+ * Construit le nom affiché d'un utilisateur de session
+ * @param {Object} user - Utilisateur de session
+ * @returns {string} Prénom et nom
+ */
+export const getDisplayName = (user) => {
+  return `${user.prenom} ${user.nom}`;
+};
+
+/**
+ * Refuse une interaction avec un post dont l'auteur (ou l'auteur d'origine d'un partage) a bloqué l'utilisateur
+ * Une erreur est envoyée au client si l'interaction est refusée
+ * @param {Socket} socket - Connexion socket individuelle
+ * @param {Object} user - Utilisateur de session
+ * @param {Object} post - Document MongoDB du post (createdBy, sharedFrom)
+ * @returns {Promise<boolean>} Vrai si l'utilisateur est bloqué
+ */
+export const rejectIfBlocked = async (socket, user, post) => {
+  if (await isBlockedBy(user.id, [post.createdBy, post.sharedFrom])) {
+    socket.emit('error', { message: "Vous ne pouvez pas interagir avec les posts de cet utilisateur", code: 'BLOCKED' });
+    return true;
+  }
+  return false;
+};
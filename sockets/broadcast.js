@@ -0,0 +1,38 @@
+/**
+ * Diffusion des événements en temps réel
+ * Salons par utilisateur et exclusion des utilisateurs qui ont masqué l'auteur d'un contenu
+ */
+
+import { getMuterIds } from '../services/restrictions.js';
+
+/**
+ * Nom du salon regroupant les sockets d'un utilisateur
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {string} Nom du salon
+ */
+export const getUserRoom = (userId) => {
+  return `user:${userId}`;
+};
+
+/**
+ * Diffuse un événement à tous les clients, sauf aux utilisateurs ayant masqué ou bloqué un des auteurs
+ * Si les restrictions ne peuvent pas être lues, l'événement est diffusé à tous
+ * @param {SocketServer} io - Instance de Socket.IO
+ * @param {Array<number>} authorIds - Auteurs du contenu (auteur du post ou du commentaire, auteur d'origine d'un partage)
+ * @param {string} event - Nom de l'événement
+ * @param {Object} data - Données de l'événement
+ */
+export const broadcastFrom = async (io, authorIds, event, data) => {
+  let excludedRooms = [];
+  try {
+    const muterIds = new Set();
+    for (const authorId of authorIds.filter(id => id !== undefined && id !== null)) {
+      (await getMuterIds(authorId)).forEach(id => muterIds.add(id));
+    }
+    excludedRooms = [...muterIds].map(getUserRoom);
+  } catch (error) {
+    console.error("Erreur lors de la récupération des utilisateurs masquant l'auteur:", error);
+  }
+
+  (excludedRooms.length ? io.except(excludedRooms) : io).emit(event, data);
+};
@@ -1,10 +1,38 @@
 /**
  * Gestionnaire des événements de commentaire
- * Traite les commentaires et les notifications en temps réel
+ * Traite l'ajout, la modification et la suppression des commentaires en temps réel
  */
 
 import { ObjectId } from 'mongodb';
-import { getCerisonetCollection } from '../../services/mongo.js';
+import { getCerisonetCollection, parsePostId } from '../../services/mongo.js';
+import { getDisplayName, rejectIfBlocked, requireSocketUser } from '../auth.js';
+import { broadcastFrom } from '../broadcast.js';
+import { hasRole, ROLES } from '../../middlewares/role.js';
+
+/**
+ * Convertit un identifiant de commentaire reçu du client en ObjectId
+ * @param {string} commentId - Identifiant du commentaire
+ * @returns {ObjectId|null} ObjectId ou null si le format est invalide
+ */
+const parseCommentId = (commentId) => {
+  return typeof commentId === 'string' && ObjectId.isValid(commentId) ? new ObjectId(commentId) : null;
+};
+
+/**
+ * Récupère les identifiants d'un commentaire et de toutes ses réponses
+ * @param {Array} comments - Commentaires du post (liste à plat)
+ * @param {ObjectId} commentId - Identifiant du commentaire racine
+ * @returns {Array<ObjectId>} Identifiants à supprimer
+ */
+const collectThread = (comments, commentId) => {
+  const ids = [commentId];
+  for (let i = 0; i < ids.length; i++) {
+    comments
+      .filter(comment => comment.id && comment.parentId && String(comment.parentId) === String(ids[i]))
+      .forEach(comment => ids.push(comment.id));
+  }
+  return ids;
+};
 
 /**
  * Configure le gestionnaire d'événements de commentaire
@@ -12,57 +40,89 @@ import { getCerisonetCollection } from '../../services/mongo.js';
  * @param {Socket} socket - Connexion socket individuelle
  */
 const commentHandler = (io, socket) => {
-  
+
   /**
    * Gère l'événement 'add-comment'
    * @param {Object} data - Données du commentaire
    * @param {string} data.postId - ID du post
-   * @param {number} data.userId - ID de l'utilisateur
    * @param {string} data.content - Contenu du commentaire
-   * @param {string} data.userName - Nom de l'utilisateur
+   * @param {string} [data.parentId] - ID du commentaire auquel on répond
    */
   socket.on('add-comment', async (data) => {
     try {
-      const { postId, userId, userName, content } = data;
-      
+      const user = requireSocketUser(socket);
+      if (!user) {
+        return;
+      }
+      const userId = user.id;
+      const userName = getDisplayName(user);
+      const { postId, content, parentId } = data;
+
       console.log(`Tentative d'ajout de commentaire au post ${postId} par l'utilisateur ${userId}`);
-      
+
       // Récupération de la collection MongoDB
       const cerisonetCollection = await getCerisonetCollection();
       if (!cerisonetCollection) {
         socket.emit('error', { message: "Erreur de connexion à la base de données MongoDB" });
         return;
       }
-      
+
+      // Vérification du commentaire parent pour une réponse
+      let parentObjectId = null;
+      if (parentId) {
+        parentObjectId = parseCommentId(parentId);
+        if (!parentObjectId) {
+          socket.emit('error', { message: "Format d'ID de commentaire invalide" });
+          return;
+        }
+      }
+
+      // Un utilisateur bloqué par l'auteur ne peut pas commenter ses posts
+      const post = await cerisonetCollection.findOne(
+        { _id: parsePostId(postId) },
+        { projection: { createdBy: 1, sharedFrom: 1 } }
+      );
+      if (post && await rejectIfBlocked(socket, user, post)) {
+        return;
+      }
+
       // Création du commentaire
       const now = new Date();
       const dateStr = now.toISOString().split('T')[0];
       const timeStr = now.toTimeString().split(' ')[0];
-      
+
       const newComment = {
         id: new ObjectId(), // Générer un ID unique
         commentedBy: userId,
         text: content,
         date: dateStr,
-        hour: timeStr
+        hour: timeStr,
+        parentId: parentObjectId
       };
-      
-      // Ajouter le commentaire au post
+
+      // Ajouter le commentaire au post (le parent doit exister dans ce même post)
+      const filter = { _id: parsePostId(postId) };
+      if (parentObjectId) {
+        filter['comments.id'] = parentObjectId;
+      }
+
       const updateResult = await cerisonetCollection.updateOne(
-        { _id: postId },
+        filter,
         { $push: { comments: newComment } }
       );
-      
-      if (!updateResult) {
-        socket.emit('error', { message: "Post non trouvé" });
+
+      if (!updateResult.matchedCount) {
+        socket.emit('error', { message: parentObjectId ? "Commentaire parent non trouvé" : "Post non trouvé" });
         return;
       }
-      
+
       console.log(`Commentaire ajouté avec succès au post ${postId}`);
-      
-      io.emit('new-comment', {
+
+      // Les utilisateurs ayant masqué l'auteur du commentaire ne sont pas notifiés
+      await broadcastFrom(io, [userId], 'new-comment', {
         id: newComment.id,
         postId: postId,
+        parentId: parentObjectId,
         userId,
         userName,
         commentedByName: userName,
@@ -70,12 +130,141 @@ const commentHandler = (io, socket) => {
         date: dateStr,
         hour: timeStr
       });
-      
+
     } catch (error) {
       console.error("Erreur lors de l'ajout du commentaire:", error);
       socket.emit('error', { message: "Erreur lors de l'ajout du commentaire" });
     }
   });
+
+  /**
+   * Gère l'événement 'edit-comment'
+   * Seul l'auteur du commentaire peut le modifier
+   * @param {Object} data - Données de la modification
+   * @param {string} data.postId - ID du post
+   * @param {string} data.commentId - ID du commentaire
+   * @param {string} data.content - Nouveau contenu du commentaire
+   */
+  socket.on('edit-comment', async (data) => {
+    try {
+      const user = requireSocketUser(socket);
+      if (!user) {
+        return;
+      }
+      const userId = user.id;
+      const { postId, commentId, content } = data;
+
+      if (!content || !content.trim()) {
+        socket.emit('error', { message: "Le contenu du commentaire est requis" });
+        return;
+      }
+
+      const commentObjectId = parseCommentId(commentId);
+      if (!commentObjectId) {
+        socket.emit('error', { message: "Format d'ID de commentaire invalide" });
+        return;
+      }
+
+      console.log(`Tentative de modification du commentaire ${commentId} par l'utilisateur ${userId}`);
+
+      // Récupération de la collection MongoDB
+      const cerisonetCollection = await getCerisonetCollection();
+      if (!cerisonetCollection) {
+        socket.emit('error', { message: "Erreur de connexion à la base de données MongoDB" });
+        return;
+      }
+
+      const editedAt = new Date().toISOString();
+
+      // Le filtre impose que le commentaire appartienne à l'utilisateur
+      const updateResult = await cerisonetCollection.updateOne(
+        { _id: parsePostId(postId), comments: { $elemMatch: { id: commentObjectId, commentedBy: userId } } },
+        { $set: { 'comments.$.text': content, 'comments.$.editedAt': editedAt } }
+      );
+
+      if (!updateResult.matchedCount) {
+        socket.emit('error', { message: "Commentaire non trouvé ou vous n'en êtes pas l'auteur" });
+        return;
+      }
+
+      await broadcastFrom(io, [userId], 'comment-updated', {
+        id: commentObjectId,
+        postId: postId,
+        userId,
+        text: content,
+        editedAt
+      });
+
+    } catch (error) {
+      console.error("Erreur lors de la modification du commentaire:", error);
+      socket.emit('error', { message: "Erreur lors de la modification du commentaire" });
+    }
+  });
+
+  /**
+   * Gère l'événement 'delete-comment'
+   * L'auteur du commentaire, l'auteur du post ou un modérateur peut le supprimer,
+   * ses réponses sont supprimées avec lui
+   * @param {Object} data - Données de la suppression
+   * @param {string} data.postId - ID du post
+   * @param {string} data.commentId - ID du commentaire
+   */
+  socket.on('delete-comment', async (data) => {
+    try {
+      const user = requireSocketUser(socket);
+      if (!user) {
+        return;
+      }
+      const userId = user.id;
+      const { postId, commentId } = data;
+
+      const commentObjectId = parseCommentId(commentId);
+      if (!commentObjectId) {
+        socket.emit('error', { message: "Format d'ID de commentaire invalide" });
+        return;
+      }
+
+      console.log(`Tentative de suppression du commentaire ${commentId} par l'utilisateur ${userId}`);
+
+      // Récupération de la collection MongoDB
+      const cerisonetCollection = await getCerisonetCollection();
+      if (!cerisonetCollection) {
+        socket.emit('error', { message: "Erreur de connexion à la base de données MongoDB" });
+        return;
+      }
+
+      const post = await cerisonetCollection.findOne({ _id: parsePostId(postId) });
+      const comment = post && (post.comments || []).find(c => c.id && String(c.id) === String(commentObjectId));
+
+      if (!comment) {
+        socket.emit('error', { message: "Commentaire non trouvé" });
+        return;
+      }
+
+      if (comment.commentedBy !== userId && post.createdBy !== userId && !hasRole(user, ROLES.MODERATOR)) {
+        socket.emit('error', { message: "Vous ne pouvez pas supprimer ce commentaire" });
+        return;
+      }
+
+      // Suppression du commentaire et de toutes ses réponses
+      const deletedIds = collectThread(post.comments, commentObjectId);
+      await cerisonetCollection.updateOne(
+        { _id: post._id },
+        { $pull: { comments: { id: { $in: deletedIds } } } }
+      );
+
+      io.emit('comment-deleted', {
+        id: commentObjectId,
+        postId: postId,
+        deletedIds,
+        userId
+      });
+
+    } catch (error) {
+      console.error("Erreur lors de la suppression du commentaire:", error);
+      socket.emit('error', { message: "Erreur lors de la suppression du commentaire" });
+    }
+  });
 };
 
-export default commentHandler;
\ No newline at end of file
+export default commentHandler;
@@ -1,10 +1,48 @@
 /**
  * Gestionnaire des événements de like
- * Traite les likes et les notifications en temps réel
+ * Traite les likes, les unlikes et les notifications en temps réel
  */
 
-import { ObjectId } from 'mongodb';
-import { getCerisonetCollection } from '../../services/mongo.js';
+import { getCerisonetCollection, parsePostId } from '../../services/mongo.js';
+import { rejectIfBlocked, requireSocketUser } from '../auth.js';
+
+/**
+ * Ajoute atomiquement le like d'un utilisateur à un post
+ * Le compteur ne peut jamais être inférieur au nombre d'éléments de likedBy
+ * @param {Collection} cerisonetCollection - Collection MongoDB CERISoNet
+ * @param {string|number} postId - ID du post
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<Object|null>} Post mis à jour ou null si le post n'existe pas ou est déjà liké
+ */
+const addLike = (cerisonetCollection, postId, userId) => {
+  return cerisonetCollection.findOneAndUpdate(
+    { _id: parsePostId(postId), likedBy: { $ne: userId } },
+    [
+      { $set: { likedBy: { $concatArrays: [{ $ifNull: ['$likedBy', []] }, [userId]] } } },
+      { $set: { likes: { $max: [{ $add: [{ $ifNull: ['$likes', 0] }, 1] }, { $size: '$likedBy' }] } } }
+    ],
+    { returnDocument: 'after', includeResultMetadata: false }
+  );
+};
+
+/**
+ * Retire atomiquement le like d'un utilisateur d'un post
+ * Le compteur ne descend jamais sous zéro ni sous le nombre d'éléments de likedBy
+ * @param {Collection} cerisonetCollection - Collection MongoDB CERISoNet
+ * @param {string|number} postId - ID du post
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {Promise<Object|null>} Post mis à jour ou null si le post n'existe pas ou n'est pas liké
+ */
+const removeLike = (cerisonetCollection, postId, userId) => {
+  return cerisonetCollection.findOneAndUpdate(
+    { _id: parsePostId(postId), likedBy: userId },
+    [
+      { $set: { likedBy: { $filter: { input: '$likedBy', cond: { $ne: ['$$this', userId] } } } } },
+      { $set: { likes: { $max: [{ $subtract: [{ $ifNull: ['$likes', 0] }, 1] }, { $size: '$likedBy' }, 0] } } }
+    ],
+    { returnDocument: 'after', includeResultMetadata: false }
+  );
+};
 
 /**
  * Configure le gestionnaire d'événements de like
@@ -12,70 +50,141 @@ import { getCerisonetCollection } from '../../services/mongo.js';
  * @param {Socket} socket - Connexion socket individuelle
  */
 const likeHandler = (io, socket) => {
-  
+
+  /**
+   * Retire le like et notifie tous les clients du nouveau compteur
+   * @param {Collection} cerisonetCollection - Collection MongoDB CERISoNet
+   * @param {string|number} postId - ID du post
+   * @param {number} userId - ID de l'utilisateur
+   */
+  const unlike = async (cerisonetCollection, postId, userId) => {
+    const post = await removeLike(cerisonetCollection, postId, userId);
+
+    if (!post) {
+      const exists = await cerisonetCollection.countDocuments({ _id: parsePostId(postId) }, { limit: 1 });
+      socket.emit('error', { message: exists ? "Vous n'avez pas liké ce post" : "Post non trouvé" });
+      return;
+    }
+
+    // Notification du unlike à tous les utilisateurs
+    io.emit('post-unliked', {
+      postId: postId,
+      userId: userId,
+      likes: post.likes,
+      liked: false,
+      success: true
+    });
+  };
+
   /**
    * Gère l'événement 'like-post'
    * @param {Object} data - Données du like
    * @param {string} data.postId - ID du post
-   * @param {number} data.userId - ID de l'utilisateur
+   * @param {boolean} [data.toggle] - Si vrai, un second like retire le like au lieu d'échouer
    */
   socket.on('like-post', async (data) => {
     try {
-      const { postId, userId } = data;
-      
+      const user = requireSocketUser(socket);
+      if (!user) {
+        return;
+      }
+      const userId = user.id;
+      const { postId, toggle } = data || {};
+
       console.log(`Tentative de like du post ${postId} par l'utilisateur ${userId}`);
-      
+
       // Récupération de la collection MongoDB
       const cerisonetCollection = await getCerisonetCollection();
       if (!cerisonetCollection) {
         socket.emit('error', { message: "Erreur de connexion à la base de données MongoDB" });
         return;
       }
-      
-      // Vérifier si l'utilisateur a déjà liké ce post
-      const post = await cerisonetCollection.findOne({ 
-        _id: postId,
-        likedBy: userId
-      });
-      
-      if (post) {
-        socket.emit('error', { message: "Vous avez déjà liké ce post" });
+
+      // Un utilisateur bloqué par l'auteur ne peut pas liker ses posts
+      const target = await cerisonetCollection.findOne(
+        { _id: parsePostId(postId) },
+        { projection: { createdBy: 1, sharedFrom: 1 } }
+      );
+      if (target && await rejectIfBlocked(socket, user, target)) {
         return;
-      } else {
-        
-        const updateResult = await cerisonetCollection.updateOne(
-          { _id: postId },
-          { 
-            $inc: { likes: 1 },
-            $push: { likedBy: userId }
-          }
+      }
+
+      const post = await addLike(cerisonetCollection, postId, userId);
+
+      if (!post) {
+        // Le post n'existe pas ou l'utilisateur l'a déjà liké
+        const alreadyLiked = await cerisonetCollection.countDocuments(
+          { _id: parsePostId(postId), likedBy: userId },
+          { limit: 1 }
         );
-        
-        if (!updateResult.matchedCount) {
+
+        if (!alreadyLiked) {
           socket.emit('error', { message: "Post non trouvé" });
-          return;
+        } else if (toggle) {
+          await unlike(cerisonetCollection, postId, userId);
+        } else {
+          socket.emit('error', { message: "Vous avez déjà liké ce post" });
         }
-        
+        return;
       }
-      
-      // Notification du like à l' utilisateur
+
+      // Notification du like à tous les utilisateurs
       io.emit('post-liked', {
         postId: postId,
         userId: userId,
+        likes: post.likes,
+        liked: true,
         success: true
       });
-      
+
     } catch (error) {
       console.error("Erreur lors du traitement du like:", error);
       socket.emit('error', { message: "Erreur lors du traitement du like" });
 
       socket.emit('post-liked', {
-        postId: data.postId,
-        userId: data.userId,
+        postId: data && data.postId,
+        userId: socket.data.user ? socket.data.user.id : null,
+        success: false
+      });
+    }
+  });
+
+  /**
+   * Gère l'événement 'unlike-post'
+   * @param {Object} data - Données du unlike
+   * @param {string} data.postId - ID du post
+   */
+  socket.on('unlike-post', async (data) => {
+    try {
+      const user = requireSocketUser(socket);
+      if (!user) {
+        return;
+      }
+      const userId = user.id;
+      const { postId } = data || {};
+
+      console.log(`Tentative de unlike du post ${postId} par l'utilisateur ${userId}`);
+
+      // Récupération de la collection MongoDB
+      const cerisonetCollection = await getCerisonetCollection();
+      if (!cerisonetCollection) {
+        socket.emit('error', { message: "Erreur de connexion à la base de données MongoDB" });
+        return;
+      }
+
+      await unlike(cerisonetCollection, postId, userId);
+
+    } catch (error) {
+      console.error("Erreur lors du traitement du unlike:", error);
+      socket.emit('error', { message: "Erreur lors du traitement du unlike" });
+
+      socket.emit('post-unliked', {
+        postId: data && data.postId,
+        userId: socket.data.user ? socket.data.user.id : null,
         success: false
       });
     }
   });
 };
 
-export default likeHandler;
\ No newline at end of file
+export default likeHandler;
@@ -0,0 +1,163 @@
+/**
+ * Gestionnaire des événements de messagerie privée
+ * Traite l'envoi des messages et leur lecture, les messages ne sont remis qu'aux participants
+ */
+
+import { getUserById } from '../../services/postgres.js';
+import {
+  addMessage,
+  findOrCreateConversation,
+  formatMessage,
+  getConversationForUser,
+  markConversationRead,
+  MAX_MESSAGE_LENGTH,
+  MAX_PARTICIPANTS
+} from '../../services/messages.js';
+import { isBlockedBy } from '../../services/restrictions.js';
+import { getDisplayName, requireSocketUser } from '../auth.js';
+import { getUserRoom } from '../broadcast.js';
+
+/**
+ * Vérifie les destinataires d'une nouvelle conversation
+ * @param {Socket} socket - Connexion socket individuelle
+ * @param {Object} user - Utilisateur de session
+ * @param {Array} recipientIds - Destinataires reçus du client
+ * @returns {Promise<Array<number>|null>} IDs des destinataires, ou null si une erreur a été envoyée au client
+ */
+const validateRecipients = async (socket, user, recipientIds) => {
+  if (!Array.isArray(recipientIds)) {
+    socket.emit('error', { message: "Destinataires requis" });
+    return null;
+  }
+
+  const ids = [...new Set(recipientIds.map(id => parseInt(id)))].filter(id => id && id !== user.id);
+  if (!ids.length || ids.length + 1 > MAX_PARTICIPANTS) {
+    socket.emit('error', { message: `Une conversation compte de 2 à ${MAX_PARTICIPANTS} participants` });
+    return null;
+  }
+
+  const recipients = await Promise.all(ids.map(id => getUserById(id)));
+  if (recipients.some(recipient => !recipient)) {
+    socket.emit('error', { message: "Destinataire non trouvé" });
+    return null;
+  }
+
+  // Impossible d'écrire à un utilisateur qui nous a bloqués
+  if (await isBlockedBy(user.id, ids)) {
+    socket.emit('error', { message: "Vous ne pouvez pas écrire à cet utilisateur", code: 'BLOCKED' });
+    return null;
+  }
+
+  return ids;
+};
+
+/**
+ * Configure le gestionnaire d'événements de messagerie
+ * @param {SocketServer} io - Instance de Socket.IO
+ * @param {Socket} socket - Connexion socket individuelle
+ */
+const messageHandler = (io, socket) => {
+
+  /**
+   * Gère l'événement 'send-message'
+   * @param {Object} data - Données du message
+   * @param {string} [data.conversationId] - Conversation existante
+   * @param {Array<number>} [data.recipientIds] - Destinataires, pour démarrer une conversation
+   * @param {string} [data.name] - Nom d'une nouvelle conversation de groupe
+   * @param {string} data.text - Contenu du message
+   */
+  socket.on('send-message', async (data) => {
+    try {
+      const user = requireSocketUser(socket);
+      if (!user) {
+        return;
+      }
+      const { conversationId, recipientIds, name } = data || {};
+      const text = typeof data?.text === 'string' ? data.text.trim() : '';
+
+      if (!text || text.length > MAX_MESSAGE_LENGTH) {
+        socket.emit('error', { message: `Le message doit contenir entre 1 et ${MAX_MESSAGE_LENGTH} caractères` });
+        return;
+      }
+
+      let conversation;
+      if (conversationId) {
+        conversation = await getConversationForUser(conversationId, user.id);
+        if (!conversation) {
+          socket.emit('error', { message: "Conversation non trouvée" });
+          return;
+        }
+
+        // Dans une conversation à deux, le blocage interdit de continuer à écrire
+        if (conversation.directKey && await isBlockedBy(user.id, conversation.participants)) {
+          socket.emit('error', { message: "Vous ne pouvez pas écrire à cet utilisateur", code: 'BLOCKED' });
+          return;
+        }
+      } else {
+        const ids = await validateRecipients(socket, user, recipientIds);
+        if (!ids) {
+          return;
+        }
+        const groupName = typeof name === 'string' ? name.trim().slice(0, 100) : '';
+        conversation = await findOrCreateConversation(user.id, ids, groupName);
+      }
+
+      const message = await addMessage(conversation, user.id, text);
+      const formattedMessage = formatMessage(message, { name: getDisplayName(user), avatar: user.avatar });
+
+      console.log(`Message ${message._id} envoyé par l'utilisateur ${user.id} dans la conversation ${conversation._id}`);
+
+      // Remise aux seuls participants (toutes leurs sockets, y compris les autres onglets de l'expéditeur)
+      io.to(conversation.participants.map(getUserRoom)).emit('receive-message', {
+        ...formattedMessage,
+        participants: conversation.participants
+      });
+
+      // Confirmation à la socket qui a envoyé le message
+      socket.emit('message-sent', {
+        success: true,
+        conversationId: conversation._id,
+        messageId: message._id
+      });
+
+    } catch (error) {
+      console.error("Erreur lors de l'envoi du message:", error);
+      socket.emit('error', { message: "Erreur lors de l'envoi du message" });
+    }
+  });
+
+  /**
+   * Gère l'événement 'mark-conversation-read'
+   * Remet à zéro les messages non lus de la conversation pour l'utilisateur
+   * @param {Object} data - Données de lecture
+   * @param {string} data.conversationId - Identifiant de la conversation
+   */
+  socket.on('mark-conversation-read', async (data) => {
+    try {
+      const user = requireSocketUser(socket);
+      if (!user) {
+        return;
+      }
+
+      const conversation = await getConversationForUser(data && data.conversationId, user.id);
+      if (!conversation) {
+        socket.emit('error', { message: "Conversation non trouvée" });
+        return;
+      }
+
+      const readAt = await markConversationRead(conversation._id, user.id);
+
+      // Synchronisation des compteurs sur les autres sockets de l'utilisateur
+      io.to(getUserRoom(user.id)).emit('conversation-read', {
+        conversationId: conversation._id,
+        readAt
+      });
+
+    } catch (error) {
+      console.error("Erreur lors de la lecture de la conversation:", error);
+      socket.emit('error', { message: "Erreur lors de la lecture de la conversation" });
+    }
+  });
+};
+
+export default messageHandler;
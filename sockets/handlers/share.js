@@ -3,8 +3,10 @@
  * Traite les partages de posts et les notifications en temps réel
  */
 
-import { ObjectId } from 'mongodb';
-import { getCerisonetCollection } from '../../services/mongo.js';
+import { getCerisonetCollection, parsePostId } from '../../services/mongo.js';
+import { extractHashtags, findRootPost } from '../../services/posts.js';
+import { getDisplayName, rejectIfBlocked, requireSocketUser } from '../auth.js';
+import { broadcastFrom } from '../broadcast.js';
 
 /**
  * Configure le gestionnaire d'événements de partage
@@ -17,15 +19,20 @@ const shareHandler = (io, socket) => {
    * Gère l'événement 'share-post'
    * @param {Object} data - Données du partage
    * @param {string} data.postId - ID du post à partager
-   * @param {number} data.userId - ID de l'utilisateur qui partage
-   * @param {string} data.userName - Nom de l'utilisateur qui partage
+   * @param {string} [data.comment] - Texte ajouté par l'utilisateur au partage (citation)
    */
   socket.on('share-post', async (data) => {
     try {
-      const { postId, userId, userName } = data;
+      const user = requireSocketUser(socket);
+      if (!user) {
+        return;
+      }
+      const userId = user.id;
+      const userName = getDisplayName(user);
+      const { postId, comment } = data;
       
       // Validation des données reçues
-      if (!postId || !userId) {
+      if (!postId) {
         socket.emit('error', { message: "Les données de partage sont incomplètes" });
         return;
       }
@@ -39,18 +46,13 @@ const shareHandler = (io, socket) => {
         return;
       }
       
-      // Conversion en ObjectId pour MongoDB
-      let postObjectId;
-      try {
-        postObjectId = new ObjectId(postId);
-      } catch (error) {
-        console.error("ID de post invalide:", error);
-        socket.emit('error', { message: "Format d'ID de post invalide" });
+      if (comment !== undefined && typeof comment !== 'string') {
+        socket.emit('error', { message: "Le commentaire du partage doit être un texte" });
         return;
       }
       
       // Vérifier que le post existe dans MongoDB
-      const post = await cerisonetCollection.findOne({ _id: postObjectId });
+      const post = await cerisonetCollection.findOne({ _id: parsePostId(postId) });
       
       if (!post) {
         console.error(`Post avec ID ${postId} non trouvé dans la base de données`);
@@ -58,26 +60,44 @@ const shareHandler = (io, socket) => {
         return;
       }
       
+      // Le partage d'un partage pointe toujours vers le post racine et son auteur
+      // (si la racine a été supprimée, on reprend les références déjà portées par le partage)
+      const rootPost = await findRootPost(cerisonetCollection, post);
+      const source = rootPost || post;
+      const originalPost = rootPost ? rootPost._id : (post.isShared ? post.originalPost : post._id);
+      const sharedFrom = rootPost ? rootPost.createdBy : (post.isShared ? post.sharedFrom : post.createdBy);
+      const shareComment = comment ? comment.trim() : '';
+      
+      // Un utilisateur bloqué par l'auteur (ou l'auteur d'origine) ne peut pas partager ses posts
+      if (await rejectIfBlocked(socket, user, { createdBy: post.createdBy, sharedFrom })) {
+        return;
+      }
+      
       // Création d'un nouveau post qui est un partage
       const now = new Date();
       const dateStr = now.toISOString().split('T')[0];
       const timeStr = now.toTimeString().split(' ')[0];
       
       const sharedPost = {
-        body: post.body,
+        body: source.body,
+        shareComment: shareComment || null,
         createdBy: userId,
         date: dateStr,
         hour: timeStr,
-        originalPost: postId,
-        sharedFrom: post.createdBy,
+        originalPost,
+        sharedFrom,
         likes: 0,
         likedBy: [],
         comments: [],
-        hashtags: post.hashtags || [],
-        images: post.images || [],
+        hashtags: [...new Set([...(source.hashtags || []), ...extractHashtags(shareComment)])],
+        images: source.images || [],
         isShared: true
       };
       
+      if (!rootPost && post.originalDeleted) {
+        sharedPost.originalDeleted = true;
+      }
+      
       console.log("Nouveau post partagé à créer:", sharedPost);
       
       // Sauvegarde du partage dans MongoDB
@@ -92,9 +112,12 @@ const shareHandler = (io, socket) => {
       console.log(`Post partagé avec succès, nouvel ID: ${result.insertedId}`);
       
       // Notification à tous les utilisateurs du nouveau partage
-      io.emit('post-shared', {
+      // (sauf à ceux qui ont masqué l'auteur du partage ou l'auteur d'origine)
+      await broadcastFrom(io, [userId, sharedFrom], 'post-shared', {
         postId: postId,
+        originalPost,
         newPostId: result.insertedId,
+        comment: sharedPost.shareComment,
         userId,
         userName,
         date: now.toISOString()
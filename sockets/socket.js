@@ -7,20 +7,27 @@ import { Server as SocketServer } from 'socket.io';
 import { serverConfig } from '../config/server.js';
 import { updateUserConnectionStatus, getConnectedUsers } from '../services/postgres.js';
 
+import { broadcastFrom, getUserRoom } from './broadcast.js';
+
 // Importation des gestionnaires d'événements
 import likeHandler from './handlers/like.js';
 import commentHandler from './handlers/comment.js';
 import shareHandler from './handlers/share.js';
+import messageHandler from './handlers/message.js';
 
 // Map pour stocker les utilisateurs connectés
 const connectedUsers = new Map();
 
+// Instance Socket.IO partagée avec les routes Express
+let ioInstance = null;
+
 /**
  * Configure le serveur Socket.IO
  * @param {Server} server - Instance du serveur HTTP/HTTPS
+ * @param {Function} sessionMiddleware - Middleware de session Express (voir config/session.js)
  * @returns {SocketServer} Instance de Socket.IO
  */
-export const configureSocketIO = (server) => {
+export const configureSocketIO = (server, sessionMiddleware) => {
   const io = new SocketServer(server, {
     cors: {
       origin: serverConfig.frontendURL,
@@ -28,13 +35,33 @@ export const configureSocketIO = (server) => {
       credentials: true
     }
   });
+  ioInstance = io;
+
+  // Lecture de la session Express (cookie cerisonet.sid) lors de la poignée de main
+  io.engine.use(sessionMiddleware);
+
+  // Refus des connexions sans session authentifiée
+  io.use((socket, next) => {
+    const session = socket.request.session;
+    if (!session || !session.user) {
+      return next(new Error("Non authentifié"));
+    }
+    socket.data.user = session.user;
+    socket.data.sessionId = socket.request.sessionID;
+    next();
+  });
 
   // Gestion des connexions Socket.IO
   io.on('connection', (socket) => {
     console.log('Nouvelle connexion WebSocket établie');
+
+    // Salon personnel: notifications ciblées et filtrage des utilisateurs masqués
+    socket.join(getUserRoom(socket.data.user.id));
     
-    // Authentification de la connexion WebSocket
-    socket.on('authenticate', async (userData) => {
+    // Enregistrement de l'utilisateur connecté
+    // L'identité provient de la session, les données envoyées par le client sont ignorées
+    socket.on('authenticate', async () => {
+      const userData = socket.data.user;
       if (userData && userData.id) {
         console.log(`Utilisateur ${userData.prenom} ${userData.nom} authentifié via WebSocket`);
         
@@ -71,6 +98,7 @@ export const configureSocketIO = (server) => {
     likeHandler(io, socket);
     commentHandler(io, socket);
     shareHandler(io, socket);
+    messageHandler(io, socket);
     
     // Récupération de la liste des utilisateurs connectés
     socket.on('get-connected-users', async () => {
@@ -114,4 +142,69 @@ export const configureSocketIO = (server) => {
   });
 
   return io;
-};
\ No newline at end of file
+};
+
+/**
+ * Récupère l'instance Socket.IO configurée
+ * @returns {SocketServer|null} Instance de Socket.IO ou null si non configurée
+ */
+export const getIO = () => {
+  return ioInstance;
+};
+
+/**
+ * Diffuse un événement à tous les clients connectés
+ * Utilisé par les routes Express pour notifier les modifications en temps réel
+ * @param {string} event - Nom de l'événement
+ * @param {Object} data - Données de l'événement
+ * @param {Array<number>} [authorIds] - Auteurs du contenu: les utilisateurs qui les ont masqués ne reçoivent pas l'événement
+ */
+export const emitEvent = (event, data, authorIds = []) => {
+  if (!ioInstance) {
+    return;
+  }
+  if (authorIds.length) {
+    broadcastFrom(ioInstance, authorIds, event, data);
+  } else {
+    ioInstance.emit(event, data);
+  }
+};
+
+/**
+ * Déconnecte les sockets associées à des sessions révoquées
+ * @param {Array<string>} sessionIds - Identifiants des sessions supprimées
+ * @returns {number} Nombre de sockets déconnectées
+ */
+export const disconnectSessions = (sessionIds) => {
+  if (!ioInstance || !sessionIds.length) {
+    return 0;
+  }
+
+  let disconnected = 0;
+  ioInstance.sockets.sockets.forEach((socket) => {
+    if (sessionIds.includes(socket.data.sessionId)) {
+      socket.emit('session-revoked', { message: "Votre session a été fermée" });
+      socket.disconnect(true);
+      disconnected++;
+    }
+  });
+  return disconnected;
+};
+
+/**
+ * Met à jour l'utilisateur associé aux sockets ouvertes d'un utilisateur
+ * (la session n'est lue qu'à la connexion de la socket)
+ * @param {number} userId - ID de l'utilisateur
+ * @param {Object} fields - Champs modifiés (nom, prenom, avatar)
+ */
+export const updateSocketUser = (userId, fields) => {
+  if (!ioInstance) {
+    return;
+  }
+
+  ioInstance.sockets.sockets.forEach((socket) => {
+    if (socket.data.user && socket.data.user.id === userId) {
+      Object.assign(socket.data.user, fields);
+    }
+  });
+};
@@ -0,0 +1,7 @@
+-- Rôles des utilisateurs de CERISoNet
+-- Un compte sans ligne dans cette table est un utilisateur standard
+CREATE TABLE IF NOT EXISTS fredouil.compte_role (
+  compte_id INTEGER NOT NULL REFERENCES fredouil.compte(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'moderator')),
+  PRIMARY KEY (compte_id, role)
+);